@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+// Parses GPX, TCX and FIT activity files into walk summaries:
+// { startTime, distance (km), duration (minutes), steps, importId }
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31
+const FIT_STEP_SPORTS = [1, 11, 17]; // running, walking, hiking count cycles as strides
+
+function haversine(a, b) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function trackDistance(points) {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    meters += haversine(points[i - 1], points[i]);
+  }
+  return meters;
+}
+
+// Tag names without their namespace prefix (gpxtpx:, ns3:, ...)
+function byLocalName($, context, name) {
+  return $(context).find('*').filter((_, el) => el.name.split(':').pop() === name);
+}
+
+function childText($, context, name) {
+  return $(context).children().filter((_, el) => el.name.split(':').pop() === name).first().text().trim();
+}
+
+function summarize({ startTime, meters, seconds, steps }, source) {
+  const distance = Math.round(meters / 10) / 100;
+  // The start time identifies an activity across re-uploads and export formats
+  const importId = startTime
+    ? `start:${startTime.toISOString().slice(0, 16)}`
+    : `hash:${crypto.createHash('sha256').update(source).digest('hex').slice(0, 32)}`;
+
+  return {
+    startTime: startTime ? startTime.toISOString() : null,
+    distance,
+    duration: seconds > 0 ? Math.round(seconds / 60) : '',
+    steps: steps > 0 ? Math.round(steps) : '',
+    importId
+  };
+}
+
+function parseGpx(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  const tracks = byLocalName($, $.root(), 'trk');
+  const containers = tracks.length ? tracks.toArray() : [$.root().get(0)];
+
+  return containers.map((trk) => {
+    let meters = 0;
+    const times = [];
+    // Distance per segment, so gaps between segments are not counted
+    const segments = byLocalName($, trk, 'trkseg');
+    (segments.length ? segments.toArray() : [trk]).forEach((seg) => {
+      const points = byLocalName($, seg, 'trkpt').toArray()
+        .map(el => ({ lat: parseFloat($(el).attr('lat')), lon: parseFloat($(el).attr('lon')), time: childText($, el, 'time') }))
+        .filter(p => !isNaN(p.lat) && !isNaN(p.lon));
+      meters += trackDistance(points);
+      points.forEach(p => { if (p.time) times.push(new Date(p.time)); });
+    });
+
+    const validTimes = times.filter(t => !isNaN(t));
+    const startTime = validTimes.length ? validTimes[0] : null;
+    const seconds = validTimes.length > 1 ? (validTimes[validTimes.length - 1] - validTimes[0]) / 1000 : 0;
+    return summarize({ startTime, meters, seconds, steps: 0 }, $.xml(trk));
+  }).filter(a => a.distance > 0);
+}
+
+function parseTcx(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+
+  return byLocalName($, $.root(), 'Activity').toArray().map((activity) => {
+    let meters = 0;
+    let seconds = 0;
+    let steps = 0;
+    const id = childText($, activity, 'Id');
+
+    byLocalName($, activity, 'Lap').each((_, lap) => {
+      const lapMeters = parseFloat(childText($, lap, 'DistanceMeters'));
+      if (!isNaN(lapMeters)) {
+        meters += lapMeters;
+      } else {
+        const points = byLocalName($, lap, 'Position').toArray().map(el => ({
+          lat: parseFloat(childText($, el, 'LatitudeDegrees')),
+          lon: parseFloat(childText($, el, 'LongitudeDegrees'))
+        })).filter(p => !isNaN(p.lat) && !isNaN(p.lon));
+        meters += trackDistance(points);
+      }
+      seconds += parseFloat(childText($, lap, 'TotalTimeSeconds')) || 0;
+      // Garmin ActivityExtension v2 stores steps per lap
+      byLocalName($, lap, 'Steps').each((_, el) => { steps += parseInt($(el).text(), 10) || 0; });
+    });
+
+    const startTime = id ? new Date(id) : null;
+    return summarize({ startTime: startTime && !isNaN(startTime) ? startTime : null, meters, seconds, steps }, $.xml(activity));
+  }).filter(a => a.distance > 0);
+}
+
+// Minimal FIT decoder: reads session messages (global number 18) only
+function parseFit(buffer) {
+  const headerSize = buffer[0];
+  const dataSize = buffer.readUInt32LE(4);
+  const end = Math.min(headerSize + dataSize, buffer.length);
+  const definitions = {};
+  const sessions = [];
+  let offset = headerSize;
+
+  const readValue = (def, field, pos) => {
+    const read = {
+      1: () => buffer.readUInt8(pos),
+      2: () => (def.littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos)),
+      4: () => (def.littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos))
+    }[field.size];
+    if (!read) return null;
+    const value = read();
+    // All bits set means "invalid" for unsigned base types
+    return value === 2 ** (field.size * 8) - 1 ? null : value;
+  };
+
+  while (offset < end) {
+    const header = buffer[offset++];
+    const compressed = (header & 0x80) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+    if (!compressed && (header & 0x40)) {
+      // Definition message
+      const littleEndian = buffer[offset + 1] === 0;
+      const globalNum = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer[offset + 4];
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: buffer[offset], size: buffer[offset + 1] });
+        offset += 3;
+      }
+      let devSize = 0;
+      if (header & 0x20) {
+        const devCount = buffer[offset++];
+        for (let i = 0; i < devCount; i++) {
+          devSize += buffer[offset + 1];
+          offset += 3;
+        }
+      }
+      definitions[localType] = { globalNum, littleEndian, fields, devSize };
+      continue;
+    }
+
+    const def = definitions[localType];
+    if (!def) {
+      throw new Error('Corrupt FIT file: data message without definition');
+    }
+
+    if (def.globalNum === 18) {
+      const message = {};
+      let pos = offset;
+      def.fields.forEach((field) => {
+        message[field.num] = readValue(def, field, pos);
+        pos += field.size;
+      });
+      sessions.push(message);
+    }
+    offset += def.fields.reduce((sum, f) => sum + f.size, 0) + def.devSize;
+  }
+
+  return sessions.map((session) => {
+    const startTime = session[2] !== null && session[2] !== undefined ? new Date((session[2] + FIT_EPOCH_OFFSET) * 1000) : null;
+    const seconds = (session[8] ?? session[7] ?? 0) / 1000; // timer time, else elapsed time
+    const meters = (session[9] ?? 0) / 100;
+    const steps = FIT_STEP_SPORTS.includes(session[5]) ? (session[10] ?? 0) * 2 : 0;
+    return summarize({ startTime, meters, seconds, steps }, JSON.stringify(session));
+  }).filter(a => a.distance > 0);
+}
+
+function detectFormat(buffer, filename = '') {
+  if (buffer.length > 12 && buffer.toString('ascii', 8, 12) === '.FIT') return 'fit';
+  const head = buffer.toString('utf8', 0, 1000);
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+  const ext = filename.split('.').pop().toLowerCase();
+  return ['gpx', 'tcx', 'fit'].includes(ext) ? ext : null;
+}
+
+// Returns one summary per activity in the file
+function parseActivityFile(buffer, filename) {
+  const format = detectFormat(buffer, filename);
+  if (!format) {
+    throw new Error('Unsupported file, expected GPX, TCX or FIT');
+  }
+
+  const activities = format === 'fit' ? parseFit(buffer) : format === 'gpx'
+    ? parseGpx(buffer.toString('utf8'))
+    : parseTcx(buffer.toString('utf8'));
+
+  return activities.map(a => ({ ...a, format }));
+}
+
+module.exports = { parseActivityFile };
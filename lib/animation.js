@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+
+// Story clips of the badge: the progress bar fills from an earlier distance to the current
+// one, the percentage and kilometers count up and the year text fades in. The caller draws
+// the frames, this module plans them and encodes the clip.
+
+const ANIMATION_FORMATS = {
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const FPS = 15;
+const DURATION_MS = 2000;
+const FADE_MS = 800;
+// The last frame stays up a while before the clip loops
+const HOLD_MS = 2500;
+// A requested start is rounded down to a twentieth of the target, so there are only a
+// few clips per design and the badge cache can hold them
+const START_STEPS = 20;
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+// Distance before the latest walk day, where the clip starts by default
+function startKm(walks) {
+  const latest = walks.reduce((max, w) => (w.date > max ? w.date : max), '');
+  const km = walks.filter(w => w.date < latest).reduce((sum, w) => sum + w.distance, 0);
+  return Math.round(km * 100) / 100;
+}
+
+function snapStartKm(km, target) {
+  const step = (Number(target) || 0) / START_STEPS;
+  return step > 0 ? Math.round(Math.floor(km / step) * step * 100) / 100 : 0;
+}
+
+// [{ km, yearOpacity, delay }] from fromKm to toKm
+function animationFrames(fromKm, toKm) {
+  const count = Math.round((DURATION_MS / 1000) * FPS);
+  const delay = Math.round(1000 / FPS);
+  const frames = [];
+  for (let i = 0; i <= count; i++) {
+    const elapsed = (i / count) * DURATION_MS;
+    frames.push({
+      km: Math.round((fromKm + (toKm - fromKm) * easeOutCubic(i / count)) * 100) / 100,
+      yearOpacity: Math.min(elapsed / FADE_MS, 1),
+      delay: i === count ? HOLD_MS : delay
+    });
+  }
+  return frames;
+}
+
+// Encodes PNG frames into a looping animated GIF or WebP; delays are in ms per frame
+async function encodeAnimation(pngFrames, delays, format) {
+  const clip = sharp(pngFrames, { join: { animated: true } });
+  if (format === 'gif') {
+    return clip.gif({ delay: delays, loop: 0, effort: 7 }).toBuffer();
+  }
+  return clip.webp({ delay: delays, loop: 0, quality: 85 }).toBuffer();
+}
+
+module.exports = { ANIMATION_FORMATS, startKm, snapStartKm, animationFrames, encodeAnimation };
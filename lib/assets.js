@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Content-addressed image store: every upload is sniffed, resized and re-encoded,
+// then saved as <sha256>.<ext>. The file name is the asset ID configs refer to.
+
+const ASSET_ID_PATTERN = /^[a-f0-9]{64}\.(png|jpg)$/;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff', 'avif', 'heif'];
+
+// Logos keep transparency, backgrounds become JPEG at up to twice the story size
+const ASSET_KINDS = {
+  logo: { maxWidth: 512, maxHeight: 512, ext: 'png', encode: img => img.png({ compressionLevel: 9 }) },
+  background: { maxWidth: 2160, maxHeight: 3840, ext: 'jpg', encode: img => img.flatten({ background: '#ffffff' }).jpeg({ quality: 85, mozjpeg: true }) }
+};
+
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg' };
+const EXT_FORMATS = { png: 'png', jpg: 'jpeg' };
+
+function isAssetId(id) {
+  return typeof id === 'string' && ASSET_ID_PATTERN.test(id);
+}
+
+function createAssetStore(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const filePath = (id) => path.join(dir, id);
+
+  return {
+    filePath,
+
+    exists(id) {
+      return isAssetId(id) && fs.existsSync(filePath(id));
+    },
+
+    list() {
+      return fs.readdirSync(dir).filter(isAssetId);
+    },
+
+    mimeType(id) {
+      return MIME_TYPES[id.split('.').pop()];
+    },
+
+    // Throws unless the buffer is an image save() could have written under this ID: the
+    // format of its extension, within the size of its kind and decodable to the end.
+    // For images from a backup archive, which are stored as they are.
+    async verify(id, buffer) {
+      if (!isAssetId(id)) {
+        throw new Error(`Invalid image ID: ${id}`);
+      }
+      const ext = id.split('.').pop();
+      const options = Object.values(ASSET_KINDS).find(kind => kind.ext === ext);
+      let metadata;
+      try {
+        metadata = await sharp(buffer).metadata();
+      } catch {
+        throw new Error(`Image ${id} is not a supported image`);
+      }
+      if (metadata.format !== EXT_FORMATS[ext]) {
+        throw new Error(`Image ${id} is ${metadata.format}, not ${ext}`);
+      }
+      if (metadata.width > options.maxWidth || metadata.height > options.maxHeight) {
+        throw new Error(`Image ${id} is larger than ${options.maxWidth}x${options.maxHeight}`);
+      }
+      try {
+        await sharp(buffer, { failOn: 'error' }).raw().toBuffer();
+      } catch {
+        throw new Error(`Image ${id} is damaged`);
+      }
+    },
+
+    // Throws on anything that is not a supported image
+    async save(buffer, kind) {
+      const options = ASSET_KINDS[kind];
+      if (!options) {
+        throw new Error(`Unknown asset kind, use ${Object.keys(ASSET_KINDS).join(' or ')}`);
+      }
+
+      // Sniff the real format from the content, never trust the name or Content-Type
+      let metadata;
+      try {
+        metadata = await sharp(buffer).metadata();
+      } catch {
+        throw new Error('Not a supported image');
+      }
+      if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new Error(`Unsupported image format: ${metadata.format}`);
+      }
+
+      const image = sharp(buffer, { animated: false })
+        .rotate() // apply EXIF orientation, metadata is dropped on output
+        .resize({ width: options.maxWidth, height: options.maxHeight, fit: 'inside', withoutEnlargement: true });
+      const { data, info } = await options.encode(image).toBuffer({ resolveWithObject: true });
+
+      const id = `${crypto.createHash('sha256').update(data).digest('hex')}.${options.ext}`;
+      if (!fs.existsSync(filePath(id))) {
+        await fs.promises.writeFile(filePath(id), data);
+      }
+      return { id, mime: MIME_TYPES[options.ext], width: info.width, height: info.height, size: data.length };
+    }
+  };
+}
+
+module.exports = { createAssetStore, isAssetId, ASSET_KINDS };
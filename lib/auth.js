@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Session signing secret, persisted so sessions survive a restart
+function loadSecret(secretFile) {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  try {
+    return fs.readFileSync(secretFile, 'utf8').trim();
+  } catch {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+// Auth is enabled when an admin password is configured
+function createAuth({ adminPassword, secretFile }) {
+  const enabled = !!adminPassword;
+  const secret = enabled ? loadSecret(secretFile) : null;
+
+  const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+  return {
+    enabled,
+
+    checkPassword(password) {
+      return enabled && typeof password === 'string' && safeEqual(hashToken(password), hashToken(adminPassword));
+    },
+
+    checkToken(token, tokenHash) {
+      return typeof token === 'string' && !!tokenHash && safeEqual(hashToken(token), tokenHash);
+    },
+
+    // Signed session token: base64url(payload).signature
+    createSession(payload) {
+      const data = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + SESSION_TTL })).toString('base64url');
+      return `${data}.${sign(data)}`;
+    },
+
+    readSession(token) {
+      if (!enabled || typeof token !== 'string') return null;
+      const [data, signature] = token.split('.');
+      if (!data || !signature || !safeEqual(signature, sign(data))) return null;
+      try {
+        const session = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        return session.exp > Date.now() ? session : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createAuth, generateToken, hashToken };
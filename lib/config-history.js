@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// Bounded undo/redo history of a tracker's badge design.
+// State: { undo: [snapshot], redo: [snapshot], lastChange }, where a snapshot is
+// { id, createdAt, config } and the newest snapshot is last in each list.
+
+const HISTORY_LIMIT = 30;
+const HISTORY_IDLE_MS = 2000; // edits closer together than this form one undo step
+
+// km, steps and day come from the walk log, they are not part of the design
+const DERIVED_KEYS = ['km', 'steps', 'day'];
+
+function designOf(config) {
+  const design = { ...config };
+  DERIVED_KEYS.forEach(key => delete design[key]);
+  return design;
+}
+
+function createSnapshot(config) {
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), config: designOf(config) };
+}
+
+function push(list, snapshot) {
+  list.push(snapshot);
+  if (list.length > HISTORY_LIMIT) {
+    list.splice(0, list.length - HISTORY_LIMIT);
+  }
+}
+
+function createHistory(saved) {
+  return {
+    undo: Array.isArray(saved && saved.undo) ? saved.undo : [],
+    redo: Array.isArray(saved && saved.redo) ? saved.redo : [],
+    lastChange: 0
+  };
+}
+
+// Called before the design changes from previous to next. A burst of edits
+// (dragging a slider) only stores the design from before the burst.
+// force starts a new undo step regardless, e.g. for a reset.
+// Returns true when the stored history changed.
+function recordChange(history, previous, next, { force = false } = {}) {
+  if (JSON.stringify(designOf(previous)) === JSON.stringify(designOf(next))) {
+    return false;
+  }
+
+  const now = Date.now();
+  const continuesBurst = !force && now - history.lastChange < HISTORY_IDLE_MS;
+  history.lastChange = force ? 0 : now;
+  if (continuesBurst) {
+    return false;
+  }
+
+  push(history.undo, createSnapshot(previous));
+  history.redo = [];
+  return true;
+}
+
+// Both return the design to switch to, or null when there is nothing to undo/redo
+function undo(history, current) {
+  const snapshot = history.undo.pop();
+  if (!snapshot) return null;
+  push(history.redo, createSnapshot(current));
+  history.lastChange = 0;
+  return snapshot.config;
+}
+
+function redo(history, current) {
+  const snapshot = history.redo.pop();
+  if (!snapshot) return null;
+  push(history.undo, createSnapshot(current));
+  history.lastChange = 0;
+  return snapshot.config;
+}
+
+// Go back to any stored snapshot; the current design becomes a new undo step
+function restore(history, id, current) {
+  const snapshot = findSnapshot(history, id);
+  if (!snapshot) return null;
+  push(history.undo, createSnapshot(current));
+  history.redo = [];
+  history.lastChange = 0;
+  return snapshot.config;
+}
+
+function findSnapshot(history, id) {
+  return history.undo.find(s => s.id === id) || history.redo.find(s => s.id === id) || null;
+}
+
+// Newest first, without the full configs
+function listSnapshots(history) {
+  const summary = (state) => ({ id, createdAt, config }) => ({
+    id,
+    createdAt,
+    state,
+    title: config.title,
+    theme: config.theme,
+    color: config.color
+  });
+  return [
+    ...history.redo.map(summary('redo')),
+    ...history.undo.slice().reverse().map(summary('undo'))
+  ];
+}
+
+function historyStatus(history) {
+  return { canUndo: history.undo.length > 0, canRedo: history.redo.length > 0 };
+}
+
+module.exports = {
+  createHistory,
+  recordChange,
+  undo,
+  redo,
+  restore,
+  findSnapshot,
+  listSnapshots,
+  historyStatus
+};
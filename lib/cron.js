@@ -0,0 +1,86 @@
+// Minimal cron expressions: "minute hour day-of-month month day-of-week" in local
+// time, with *, lists (1,15), ranges (1-5) and steps (*/15, 8-18/2).
+// Day of week runs 0-6 from Sunday, 7 is Sunday too.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest month lengths, February 29th comes around in leap years
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+// February 29th can be eight years off around a century year like 2100
+const MAX_SEARCH_DAYS = 8 * 366;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    const from = match[1] === '*' ? min : parseInt(match[2], 10);
+    const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : from;
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+  return values;
+}
+
+// Throws on an invalid expression and on one that never matches, like February 30th
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  // Like cron: when both day fields are restricted, either one may match
+  const anyDay = parts[2] === '*';
+  const anyWeekday = parts[4] === '*';
+  // Only the day of month counts then, and it has to exist in one of the months
+  if (anyWeekday && ![...months].some(month => [...days].some(day => day <= MONTH_DAYS[month - 1]))) {
+    throw new Error(`Cron expression never matches: ${parts[2]} is not a day of month ${parts[3]}`);
+  }
+
+  function matchesDay(date) {
+    const dayMatches = anyDay || anyWeekday
+      ? days.has(date.getDate()) && weekdays.has(date.getDay())
+      : days.has(date.getDate()) || weekdays.has(date.getDay());
+    return months.has(date.getMonth() + 1) && dayMatches;
+  }
+
+  return {
+    expression: parts.join(' '),
+    matchesDay,
+    matches(date) {
+      return minutes.has(date.getMinutes()) && hours.has(date.getHours()) && matchesDay(date);
+    }
+  };
+}
+
+// First matching minute after a date, or null within MAX_SEARCH_DAYS.
+// Days that do not match are skipped whole instead of minute by minute.
+function nextRun(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (cron.matchesDay(date)) {
+      for (const day = date.getDate(); date.getDate() === day; date.setMinutes(date.getMinutes() + 1)) {
+        if (cron.matches(date)) return date;
+      }
+    } else {
+      date.setHours(24, 0, 0, 0);
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
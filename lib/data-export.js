@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isAssetId } = require('./assets');
+
+// Backup archive of the data directory: one gzipped JSON document with every data file,
+// JSON files parsed (so an import can check them before anything is replaced) and images
+// as base64. Paths are relative to data/: 'teams.json', 'walks.json' of the default
+// tracker, 'trackers/<slug>/walks.json' and 'assets/<id>'.
+
+const ARCHIVE_FORMAT = 'wandelbadge-backup';
+const ARCHIVE_VERSION = 1;
+
+const SHARED_FILES = ['trackers.json', 'presets.json', 'teams.json'];
+const TRACKER_FILES = ['config.json', 'walks.json', 'history.json', 'donation.json', 'milestones.json', 'timeseries.json', 'schedule.json', 'deliveries.json'];
+
+const TRACKER_PATH_PATTERN = /^(?:trackers\/([a-z0-9-]+)\/)?([a-z]+\.json)$/;
+
+// { type: 'shared' | 'tracker' | 'asset', ... } for a path an archive may contain, else null.
+// slug is null for the default tracker, whose files are in data/ itself.
+function parseArchivePath(name) {
+  if (name.startsWith('assets/')) {
+    const id = name.slice('assets/'.length);
+    return isAssetId(id) ? { type: 'asset', id } : null;
+  }
+  const match = name.match(TRACKER_PATH_PATTERN);
+  if (!match) return null;
+  const [, slug = null, file] = match;
+  if (!slug && SHARED_FILES.includes(file)) return { type: 'shared', file };
+  return TRACKER_FILES.includes(file) ? { type: 'tracker', slug, file } : null;
+}
+
+// The given data files that exist, packed into a gzipped archive
+async function packArchive(dataDir, names) {
+  const files = {};
+  for (const name of names) {
+    const content = await fs.promises.readFile(path.join(dataDir, name)).catch(() => null);
+    if (!content) continue;
+    files[name] = name.endsWith('.json')
+      ? { json: JSON.parse(content.toString('utf8')) }
+      : { base64: content.toString('base64') };
+  }
+  const archive = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, createdAt: new Date().toISOString(), files };
+  return zlib.gzipSync(JSON.stringify(archive));
+}
+
+// Reads a gzipped or plain archive (or one already parsed) and checks its structure.
+// Throws on anything unexpected; the contents of the JSON files are up to the caller.
+function unpackArchive(input) {
+  let archive = input;
+  if (Buffer.isBuffer(input)) {
+    try {
+      const text = (input[0] === 0x1f && input[1] === 0x8b ? zlib.gunzipSync(input) : input).toString('utf8');
+      archive = JSON.parse(text);
+    } catch {
+      throw new Error('Not a backup archive');
+    }
+  }
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a backup archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version ${archive.version}`);
+  }
+  if (!archive.files || typeof archive.files !== 'object') {
+    throw new Error('Archive contains no files');
+  }
+
+  const json = {};
+  const assets = {};
+  for (const [name, entry] of Object.entries(archive.files)) {
+    const parsed = parseArchivePath(name);
+    if (!parsed) {
+      throw new Error(`Unexpected file in archive: ${name}`);
+    }
+    if (parsed.type === 'asset') {
+      if (!entry || typeof entry.base64 !== 'string') throw new Error(`Invalid image ${name}`);
+      const data = Buffer.from(entry.base64, 'base64');
+      // Image IDs are the hash of their content
+      if (crypto.createHash('sha256').update(data).digest('hex') !== parsed.id.split('.')[0]) {
+        throw new Error(`Image ${name} does not match its ID`);
+      }
+      assets[parsed.id] = data;
+    } else {
+      if (!entry || !('json' in entry)) throw new Error(`Invalid file ${name}`);
+      json[name] = entry.json;
+    }
+  }
+  return { createdAt: archive.createdAt, json, assets };
+}
+
+// Spreadsheet apps run cells that start with these characters as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The walk log as CSV, oldest first, with the running total and progress towards the target.
+// Starts with a byte order mark, so Excel reads the weather emoji as UTF-8.
+function progressCsv(walks, target) {
+  const sorted = [...walks].sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+  let total = 0;
+  const rows = sorted.map((walk) => {
+    total += walk.distance;
+    const totalKm = Math.round(total * 100) / 100;
+    return [walk.date, walk.distance, walk.steps, walk.duration, walk.weather, walk.terrain, walk.note, totalKm, Math.round((totalKm / target) * 1000) / 10];
+  });
+  const header = ['date', 'distance_km', 'steps', 'duration_min', 'weather', 'terrain', 'note', 'total_km', 'percent_of_target'];
+  return `\ufeff${[header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = { SHARED_FILES, TRACKER_FILES, parseArchivePath, packArchive, unpackArchive, progressCsv };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outputs a scheduled badge is delivered to:
+//   { type: 'webhook', url }      multipart POST with the image as "badge" and the figures as fields
+//   { type: 'email', to }         mail with the image attached, needs an SMTP server
+//   { type: 'directory', path }   copy into a folder under the drop directory
+// A badge is { buffer, filename, mime, meta: { tracker, name, date, km, target } }.
+
+const DIRECTORY_PATTERN = /^[a-zA-Z0-9_-]+(?:\/[a-zA-Z0-9_-]+)*$/;
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+const WEBHOOK_TIMEOUT = 15000;
+
+function createDelivery({ smtpUrl, smtpFrom, dropDir }) {
+  const transport = smtpUrl ? nodemailer.createTransport(smtpUrl) : null;
+
+  const senders = {
+    async webhook({ url }, badge) {
+      const form = new FormData();
+      form.append('badge', new Blob([badge.buffer], { type: badge.mime }), badge.filename);
+      Object.entries(badge.meta).forEach(([key, value]) => form.append(key, String(value)));
+      const response = await fetch(url, { method: 'POST', body: form, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT) });
+      if (!response.ok) {
+        throw new Error(`Webhook answered HTTP ${response.status}`);
+      }
+    },
+
+    async email({ to }, badge) {
+      const { name, date, km, target } = badge.meta;
+      await transport.sendMail({
+        from: smtpFrom,
+        to,
+        subject: `Wandelbadge ${name} ${date}`,
+        text: `${km} van ${target} km. De badge van vandaag zit in de bijlage.`,
+        attachments: [{ filename: badge.filename, content: badge.buffer, contentType: badge.mime }]
+      });
+    },
+
+    async directory({ path: folder }, badge) {
+      const target = path.join(dropDir, folder);
+      await fs.promises.mkdir(target, { recursive: true });
+      await fs.promises.writeFile(path.join(target, badge.filename), badge.buffer);
+    }
+  };
+
+  return {
+    emailEnabled: !!transport,
+
+    // Returns the output with only its known fields, throws when it is unusable
+    validateOutput(output) {
+      if (!output || typeof output !== 'object') {
+        throw new Error('Output must be an object');
+      }
+      if (output.type === 'webhook' && typeof output.url === 'string' && /^https?:\/\/\S+$/.test(output.url) && output.url.length <= 500) {
+        return { type: 'webhook', url: output.url };
+      }
+      if (output.type === 'email' && typeof output.to === 'string' && EMAIL_PATTERN.test(output.to)) {
+        if (!transport) throw new Error('Email outputs need SMTP_URL on the server');
+        return { type: 'email', to: output.to };
+      }
+      if (output.type === 'directory' && typeof output.path === 'string' && DIRECTORY_PATTERN.test(output.path) && output.path.length <= 100) {
+        return { type: 'directory', path: output.path };
+      }
+      throw new Error(`Invalid ${output.type || 'unknown'} output`);
+    },
+
+    describe(output) {
+      return output.type === 'webhook' ? output.url : output.type === 'email' ? output.to : `${output.path}/`;
+    },
+
+    // Tries an output up to attempts times, waiting delayMs, 2x delayMs, ... in between.
+    // onAttempt({ attempt, ok, error }) is called after every try; resolves to the last result.
+    async deliver(output, badge, { attempts = 3, delayMs = 60000, onAttempt = () => {} } = {}) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await senders[output.type](output, badge);
+          onAttempt({ attempt, ok: true, error: null });
+          return { ok: true, attempts: attempt };
+        } catch (err) {
+          onAttempt({ attempt, ok: false, error: err.message });
+          if (attempt >= attempts) return { ok: false, attempts: attempt, error: err.message };
+          await new Promise(resolve => setTimeout(resolve, delayMs * 2 ** (attempt - 1)));
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createDelivery };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+// JSON files of the data directory. Writes go to a temporary file that is renamed over
+// the old one, so a crash leaves either the old or the new file, never half of one.
+// Before a write replaces a file, a copy is kept as <file>.1 ... <file>.5 (newest first),
+// at most one per hour, and a file that still cannot be read is restored from those.
+
+const BACKUP_COUNT = 5;
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function backupFile(file, index) {
+  return `${file}.${index}`;
+}
+
+async function rotateBackups(file) {
+  const latest = await fs.promises.stat(backupFile(file, 1)).catch(() => null);
+  if (latest && Date.now() - latest.mtimeMs < BACKUP_INTERVAL_MS) return;
+  if (!fs.existsSync(file)) return;
+
+  for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+    await fs.promises.rename(backupFile(file, i), backupFile(file, i + 1)).catch(() => {});
+  }
+  await fs.promises.copyFile(file, backupFile(file, 1));
+}
+
+async function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await rotateBackups(file);
+  await fs.promises.rename(tmp, file);
+}
+
+function parseJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The file's content, or the newest readable backup when it is damaged. A damaged file is
+// moved aside as <file>.corrupt-<time> rather than overwritten by the next save.
+function readJsonFile(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return parseJsonFile(file);
+  } catch (err) {
+    const corrupt = `${file}.corrupt-${Date.now()}`;
+    console.error(`Error reading ${file}, moved it to ${corrupt}:`, err.message);
+    fs.renameSync(file, corrupt);
+  }
+
+  for (let i = 1; i <= BACKUP_COUNT; i++) {
+    const backup = backupFile(file, i);
+    if (!fs.existsSync(backup)) continue;
+    try {
+      const data = parseJsonFile(backup);
+      fs.copyFileSync(backup, file);
+      console.error(`Restored ${file} from ${backup}`);
+      return data;
+    } catch (err) {
+      console.error(`Backup ${backup} is unreadable too:`, err.message);
+    }
+  }
+  console.error(`No readable backup of ${file}, starting from the defaults`);
+  return fallback;
+}
+
+module.exports = { writeJsonAtomic, readJsonFile };
@@ -0,0 +1,67 @@
+// Goal milestones: a percentage of the target ({ type: 'percent', value: 50 })
+// or a fixed distance ({ type: 'km', value: 500 }). A reached milestone is stored as
+// { id, type, value, label, km, date, reachedAt }, where date is the day of the walk
+// that crossed the mark and reachedAt the moment the server noticed.
+
+const DEFAULT_MILESTONES = [25, 50, 75, 100].map(value => ({ type: 'percent', value }));
+const MAX_MILESTONES = 20;
+
+function isValidMilestones(list) {
+  return Array.isArray(list) && list.length <= MAX_MILESTONES && list.every(m =>
+    m && typeof m === 'object' && typeof m.value === 'number' && m.value > 0 &&
+    ((m.type === 'percent' && m.value <= 100) || (m.type === 'km' && m.value <= 1000000)));
+}
+
+function milestoneId(milestone) {
+  return `${milestone.type}-${milestone.value}`;
+}
+
+function milestoneKm(milestone, target) {
+  const km = milestone.type === 'percent' ? target * milestone.value / 100 : milestone.value;
+  return Math.round(km * 100) / 100;
+}
+
+function milestoneLabel(milestone) {
+  return milestone.type === 'percent' ? `${milestone.value}%` : `${milestone.value} KM`;
+}
+
+// Configured milestones the walk log has passed that are not in achieved yet
+function findReached(milestones, target, walks, achieved) {
+  const known = new Set(achieved.map(m => m.id));
+  const open = milestones
+    .filter(m => !known.has(milestoneId(m)))
+    .map(m => ({ ...m, km: milestoneKm(m, target) }))
+    .sort((a, b) => a.km - b.km);
+  if (!open.length) return [];
+
+  // Walk through the log in date order to find the day each mark was crossed
+  const sorted = walks.slice().sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+  const reached = [];
+  const reachedAt = new Date().toISOString();
+  let total = 0;
+  for (const walk of sorted) {
+    total = Math.round((total + walk.distance) * 100) / 100;
+    while (open.length && open[0].km <= total) {
+      const milestone = open.shift();
+      reached.push({
+        id: milestoneId(milestone),
+        type: milestone.type,
+        value: milestone.value,
+        label: milestoneLabel(milestone),
+        km: milestone.km,
+        date: walk.date,
+        reachedAt
+      });
+    }
+  }
+  return reached;
+}
+
+module.exports = {
+  DEFAULT_MILESTONES,
+  isValidMilestones,
+  milestoneId,
+  milestoneKm,
+  milestoneLabel,
+  findReached
+};
@@ -0,0 +1,136 @@
+const mqtt = require('mqtt');
+
+// Home Assistant over MQTT: every tracker becomes a device with sensors through
+// MQTT discovery, its figures go out as one retained JSON state message, and a
+// command topic per tracker adds a walk.
+//
+// Topics, with the default prefixes:
+//   wandelbadge/status                     online/offline (last will)
+//   wandelbadge/<slug>/state               { km, target, percentage, steps, day, raised, donationGoal, donationPercentage }
+//   wandelbadge/<slug>/walk/add            command: "2.5" (km) or { "distance": 2.5, "steps": 3000, "date": "2026-03-01" }
+//   homeassistant/sensor/wandelbadge_<slug>/<key>/config   discovery
+
+const SENSORS = [
+  { key: 'km', name: 'Kilometers', unit: 'km', deviceClass: 'distance', stateClass: 'measurement', icon: 'mdi:walk' },
+  { key: 'target', name: 'Doel', unit: 'km', deviceClass: 'distance', icon: 'mdi:flag-checkered' },
+  { key: 'percentage', name: 'Voortgang', unit: '%', stateClass: 'measurement', icon: 'mdi:percent' },
+  { key: 'steps', name: 'Stappen', stateClass: 'measurement', icon: 'mdi:shoe-print' },
+  { key: 'day', name: 'Dag', icon: 'mdi:calendar' },
+  { key: 'raised', name: 'Opgehaald', unit: 'EUR', deviceClass: 'monetary', icon: 'mdi:hand-heart' },
+  { key: 'donationGoal', name: 'Donatiedoel', unit: 'EUR', deviceClass: 'monetary', icon: 'mdi:bullseye-arrow' },
+  { key: 'donationPercentage', name: 'Donatievoortgang', unit: '%', stateClass: 'measurement', icon: 'mdi:percent' }
+];
+
+// Longest walk a command may add, the same limit validateWalk in server.js has
+const MAX_COMMAND_KM = 1000;
+
+// "2.5" or a JSON walk; throws on anything else, or on a distance outside 0..MAX_COMMAND_KM
+function parseCommand(payload) {
+  const text = payload.toString().trim();
+  const walk = /^\d+(?:[.,]\d+)?$/.test(text) ? { distance: parseFloat(text.replace(',', '.')) } : JSON.parse(text);
+  if (!walk || typeof walk !== 'object' || Array.isArray(walk)) {
+    throw new Error('Expected a distance in km or a JSON walk');
+  }
+  if (walk.distance !== undefined && !(typeof walk.distance === 'number' && walk.distance > 0 && walk.distance <= MAX_COMMAND_KM)) {
+    throw new Error(`Distance must be more than 0 and at most ${MAX_COMMAND_KM} km`);
+  }
+  return walk;
+}
+
+// onAddWalk(slug, walk) is called for commands; walk is { distance, ... } as sent.
+// connect is mqtt.connect, the tests pass a stub client instead.
+function createMqttBridge({ url, username, password, topicPrefix = 'wandelbadge', discoveryPrefix = 'homeassistant', onAddWalk, connect = mqtt.connect }) {
+  const statusTopic = `${topicPrefix}/status`;
+  const commandPattern = new RegExp(`^${topicPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([a-z0-9-]+)/walk/add$`);
+  const trackers = new Map(); // slug -> { name, state }
+  const published = new Map(); // slug -> last state JSON sent
+
+  const client = connect(url, {
+    username: username || undefined,
+    password: password || undefined,
+    reconnectPeriod: 5000,
+    will: { topic: statusTopic, payload: 'offline', retain: true }
+  });
+
+  const discoveryTopic = (slug, key) => `${discoveryPrefix}/sensor/wandelbadge_${slug.replace(/-/g, '_')}/${key}/config`;
+  const stateTopic = (slug) => `${topicPrefix}/${slug}/state`;
+
+  function publishDiscovery(slug, name) {
+    const device = {
+      identifiers: [`wandelbadge_${slug}`],
+      name: `Wandelbadge ${name}`,
+      manufacturer: 'Wandelbadge'
+    };
+    SENSORS.forEach((sensor) => {
+      const config = {
+        name: sensor.name,
+        unique_id: `wandelbadge_${slug}_${sensor.key}`,
+        state_topic: stateTopic(slug),
+        value_template: `{{ value_json.${sensor.key} }}`,
+        availability_topic: statusTopic,
+        icon: sensor.icon,
+        device
+      };
+      if (sensor.unit) config.unit_of_measurement = sensor.unit;
+      if (sensor.deviceClass) config.device_class = sensor.deviceClass;
+      if (sensor.stateClass) config.state_class = sensor.stateClass;
+      client.publish(discoveryTopic(slug, sensor.key), JSON.stringify(config), { retain: true });
+    });
+  }
+
+  function publishState(slug) {
+    const json = JSON.stringify(trackers.get(slug).state);
+    if (published.get(slug) === json) return;
+    published.set(slug, json);
+    client.publish(stateTopic(slug), json, { retain: true });
+  }
+
+  client.on('connect', () => {
+    console.log(`Connected to MQTT broker ${url}`);
+    client.publish(statusTopic, 'online', { retain: true });
+    client.subscribe(`${topicPrefix}/+/walk/add`);
+    published.clear();
+    trackers.forEach(({ name }, slug) => {
+      publishDiscovery(slug, name);
+      publishState(slug);
+    });
+  });
+
+  client.on('message', (topic, payload) => {
+    const match = commandPattern.exec(topic);
+    if (!match) return;
+    let walk;
+    try {
+      walk = parseCommand(payload);
+    } catch (err) {
+      console.error(`Ignoring MQTT command on ${topic}:`, err.message);
+      return;
+    }
+    Promise.resolve(onAddWalk(match[1], walk))
+      .catch(err => console.error(`MQTT command on ${topic} failed:`, err.message));
+  });
+
+  client.on('error', err => console.error('MQTT error:', err.message));
+
+  return {
+    // Registers a tracker on first call, then only sends changed state
+    publishTracker(slug, name, state) {
+      const known = trackers.get(slug);
+      trackers.set(slug, { name, state });
+      if (!client.connected) return;
+      if (!known || known.name !== name) publishDiscovery(slug, name);
+      publishState(slug);
+    },
+
+    // Empty retained messages make Home Assistant forget the sensors
+    removeTracker(slug) {
+      trackers.delete(slug);
+      published.delete(slug);
+      if (!client.connected) return;
+      SENSORS.forEach(sensor => client.publish(discoveryTopic(slug, sensor.key), '', { retain: true }));
+      client.publish(stateTopic(slug), '', { retain: true });
+    }
+  };
+}
+
+module.exports = { createMqttBridge, parseCommand };
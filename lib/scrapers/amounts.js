@@ -0,0 +1,64 @@
+// Amount parsing shared by the fundraising adapters
+
+const NUMBER = '\\d[\\d.,]*';
+
+// "1.361", "1,361", "1.361,50", "1,361.50", "12,50" -> number (Dutch and English notation)
+function parseAmount(text) {
+  if (text === null || text === undefined) return null;
+  // Spaces as thousands separator: "1 361"
+  const match = String(text).replace(/(\d)\s(?=\d{3}\b)/g, '$1').match(new RegExp(NUMBER));
+  if (!match) return null;
+
+  const digits = match[0].replace(/[.,]+$/, '');
+  const separators = digits.match(/[.,]/g) || [];
+  let normalized = digits;
+  if (separators.length) {
+    const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    const decimals = digits.length - last - 1;
+    // Mixed separators: the last one is decimal. One kind: thousands when repeated or followed by 3 digits
+    const hasDecimals = new Set(separators).size > 1 || (separators.length === 1 && decimals !== 3);
+    normalized = hasDecimals
+      ? `${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`
+      : digits.replace(/[.,]/g, '');
+  }
+
+  const value = parseFloat(normalized);
+  return isNaN(value) ? null : value;
+}
+
+// All "€ 1.361" / "EUR 1.361" amounts in a text
+function findEuroAmounts(text) {
+  const pattern = new RegExp(`(?:€|EUR)\\s*(${NUMBER})`, 'gi');
+  const amounts = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = parseAmount(match[1]);
+    if (value !== null && value > 0) {
+      amounts.push({ value, formatted: match[0].trim() });
+    }
+  }
+  return amounts;
+}
+
+// First euro amount at most maxDistance characters after a label
+function amountAfter(text, label, maxDistance = 50) {
+  const match = text.match(new RegExp(`(?:${label.source})[\\s\\S]{0,${maxDistance}}?(?:€|EUR)\\s*(${NUMBER})`, 'i'));
+  return match ? parseAmount(match[1]) : null;
+}
+
+// Euro amount right before a label, like "€ 1.361 opgehaald"
+function amountBefore(text, label, maxDistance = 20) {
+  const match = text.match(new RegExp(`(?:€|EUR)\\s*(${NUMBER})[^€]{0,${maxDistance}}?(?:${label.source})`, 'i'));
+  return match ? parseAmount(match[1]) : null;
+}
+
+// "€ 1.361 opgehaald van (een doel van) € 2.026" and "€1,361 raised of €2,026 goal"
+function raisedOfGoal(text) {
+  const match = text.match(new RegExp(
+    `(?:€|EUR)\\s*(${NUMBER})\\s*(?:opgehaald|ingezameld|raised)\\s*(?:van|of)\\s*(?:een doel van|een streefbedrag van|a goal of)?\\s*(?:€|EUR)\\s*(${NUMBER})`,
+    'i'
+  ));
+  return match ? { raised: parseAmount(match[1]), goal: parseAmount(match[2]) } : { raised: null, goal: null };
+}
+
+module.exports = { parseAmount, findEuroAmounts, amountAfter, amountBefore, raisedOfGoal };
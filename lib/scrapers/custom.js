@@ -0,0 +1,75 @@
+const { RE2JS } = require('re2js');
+const { parseAmount, findEuroAmounts } = require('./amounts');
+
+// User-configured adapter for pages no built-in adapter knows. Per field a CSS selector
+// (text of the first match) and/or a regex (first capture group) pick the amount.
+// Patterns run on RE2, which takes linear time, so a pattern like (a+)+$ cannot hang the
+// server on a crafted page; lookarounds and backreferences are not supported.
+const FIELDS = ['raised', 'goal'];
+const MAX_OPTION_LENGTH = 200;
+const MAX_TEXT_LENGTH = 50000;
+
+function compilePattern(pattern) {
+  return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+}
+
+function hasOptions(options) {
+  return FIELDS.some(field => options[`${field}Selector`] || options[`${field}Pattern`]);
+}
+
+// Throws on options that cannot be used, before anything is fetched
+function validateOptions(options) {
+  FIELDS.forEach((field) => {
+    const selector = options[`${field}Selector`];
+    const pattern = options[`${field}Pattern`];
+    [selector, pattern].forEach((value) => {
+      if (value !== undefined && (typeof value !== 'string' || value.length > MAX_OPTION_LENGTH)) {
+        throw new Error(`Invalid ${field} selector or pattern (max ${MAX_OPTION_LENGTH} characters)`);
+      }
+    });
+    if (pattern) {
+      try {
+        compilePattern(pattern);
+      } catch {
+        throw new Error(`Invalid ${field} pattern (lookarounds and backreferences are not supported)`);
+      }
+    }
+  });
+}
+
+function extractField($, text, selector, pattern) {
+  let source = text;
+  if (selector) {
+    try {
+      const element = $(selector).first();
+      if (!element.length) return null;
+      source = element.text().replace(/\s+/g, ' ');
+    } catch {
+      return null;
+    }
+  }
+  if (pattern) {
+    const matcher = compilePattern(pattern).matcher(source.slice(0, MAX_TEXT_LENGTH));
+    if (!matcher.find()) return null;
+    return parseAmount((matcher.groupCount() > 0 ? matcher.group(1) : null) ?? matcher.group(0));
+  }
+  const amounts = findEuroAmounts(source);
+  return amounts.length ? amounts[0].value : parseAmount(source);
+}
+
+module.exports = {
+  name: 'custom',
+  label: 'Eigen selector/regex',
+  hasOptions,
+  validateOptions,
+
+  extract($, text, options) {
+    const result = {};
+    FIELDS.forEach((field) => {
+      const selector = options[`${field}Selector`];
+      const pattern = options[`${field}Pattern`];
+      result[field] = selector || pattern ? extractField($, text, selector, pattern) : null;
+    });
+    return result;
+  }
+};
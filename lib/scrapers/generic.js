@@ -0,0 +1,26 @@
+const { findEuroAmounts } = require('./amounts');
+
+// Fallback for unknown pages: euro amounts in elements that look like fundraiser data,
+// taking the first as raised and the second as goal
+function collectAmounts($) {
+  const amounts = [];
+  $('h3, h4, .amount, .raised, .goal, [class*="amount"], [class*="raised"], [class*="goal"]').each((_, el) => {
+    const text = $(el).text();
+    findEuroAmounts(text).forEach(amount => amounts.push({ ...amount, context: text.trim().substring(0, 100) }));
+  });
+  return amounts;
+}
+
+module.exports = {
+  name: 'generic',
+  label: 'Algemeen (gok)',
+  collectAmounts,
+
+  extract($) {
+    const amounts = collectAmounts($);
+    return {
+      raised: amounts.length > 0 ? amounts[0].value : null,
+      goal: amounts.length > 1 ? amounts[1].value : null
+    };
+  }
+};
@@ -0,0 +1,17 @@
+const { amountBefore, raisedOfGoal } = require('./amounts');
+
+// GoFundMe campaigns: "€ 1.361 opgehaald van een doel van € 2.026" / "€1,361 raised of €2,026 goal"
+module.exports = {
+  name: 'gofundme',
+  label: 'GoFundMe',
+  hosts: ['gofundme.com'],
+
+  detect($) {
+    return /gofundme/i.test($('meta[property="og:site_name"]').attr('content') || '');
+  },
+
+  extract($, text) {
+    const { raised, goal } = raisedOfGoal(text);
+    return { raised: raised ?? amountBefore(text, /opgehaald|raised/), goal };
+  }
+};
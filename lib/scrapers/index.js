@@ -0,0 +1,80 @@
+const cheerio = require('cheerio');
+const kentaa = require('./kentaa');
+const whydonate = require('./whydonate');
+const gofundme = require('./gofundme');
+const custom = require('./custom');
+const generic = require('./generic');
+
+// Fundraising page adapters. Every built-in adapter is tried and the result with the
+// highest confidence wins; the custom adapter is used alone when it is configured.
+// Adapter: { name, label, hosts?, detect?($), extract($, text, options) -> { raised, goal } }
+const ADAPTERS = [kentaa, whydonate, gofundme];
+const GUESS_WEIGHT = 0.15;
+
+function matchesHost(adapter, url) {
+  const hostname = new URL(url).hostname.toLowerCase();
+  return (adapter.hosts || []).some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// 0..1: how sure we are the adapter read this page right. Knowing the site counts for
+// half, each amount found for a quarter. Guessed amounts (generic) weigh less.
+function confidenceOf(recognised, { raised, goal }, perAmount = 0.25) {
+  const found = (raised !== null ? 1 : 0) + (goal !== null ? 1 : 0);
+  if (!found) return 0;
+  return Math.round((recognised + found * perAmount) * 100) / 100;
+}
+
+function runAdapter(adapter, $, text, url) {
+  const values = adapter.extract($, text, {});
+  const recognised = matchesHost(adapter, url) ? 0.5 : adapter.detect && adapter.detect($) ? 0.3 : 0.1;
+  return { adapter: adapter.name, ...values, confidence: confidenceOf(recognised, values) };
+}
+
+function listAdapters() {
+  return [...ADAPTERS, custom, generic].map(({ name, label, hosts }) => ({ name, label, hosts: hosts || [] }));
+}
+
+// Throws when the options are unusable: unknown adapter, bad selector/regex
+function validateOptions(options = {}) {
+  if (options.adapter && !listAdapters().some(a => a.name === options.adapter)) {
+    throw new Error(`Unknown adapter: ${options.adapter}`);
+  }
+  custom.validateOptions(options);
+}
+
+// Whether the options carry selectors or patterns of their own, which run on the server
+function hasCustomOptions(options = {}) {
+  return custom.hasOptions(options);
+}
+
+// Reads raised and goal amounts from a fundraising page.
+// options: { adapter } to force an adapter, raised/goal Selector and Pattern for the custom one
+function scrapeFundraiser(html, url, options = {}) {
+  const $ = cheerio.load(html);
+  const text = $('body').text().replace(/\s+/g, ' ');
+  const title = $('h1').first().text().trim() || $('title').text().trim();
+  const allAmounts = generic.collectAmounts($);
+
+  let result;
+  if (options.adapter === 'custom' || (!options.adapter && custom.hasOptions(options))) {
+    // Explicitly configured, so every amount it finds is trusted
+    const values = custom.extract($, text, options);
+    result = { adapter: 'custom', ...values, confidence: confidenceOf(0.5, values) };
+  } else if (options.adapter === 'generic') {
+    const values = generic.extract($);
+    result = { adapter: 'generic', ...values, confidence: confidenceOf(0, values, GUESS_WEIGHT) };
+  } else {
+    const candidates = ADAPTERS
+      .filter(adapter => !options.adapter || adapter.name === options.adapter)
+      .map(adapter => runAdapter(adapter, $, text, url));
+    const genericValues = generic.extract($);
+    if (!options.adapter) {
+      candidates.push({ adapter: 'generic', ...genericValues, confidence: confidenceOf(0, genericValues, GUESS_WEIGHT) });
+    }
+    result = candidates.reduce((best, candidate) => (candidate.confidence > best.confidence ? candidate : best));
+  }
+
+  return { ...result, title, allAmounts };
+}
+
+module.exports = { scrapeFundraiser, listAdapters, validateOptions, hasCustomOptions };
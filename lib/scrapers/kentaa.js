@@ -0,0 +1,21 @@
+const { amountAfter, amountBefore } = require('./amounts');
+
+// Kentaa runs the action pages of Fight Cancer, KWF and many other Dutch charities:
+// "Opgehaald € 1.361" and "Streefbedrag € 2.026"
+module.exports = {
+  name: 'kentaa',
+  label: 'Fight Cancer / KWF (Kentaa)',
+  hosts: ['fightcancer.nl', 'kwf.nl', 'kentaa.nl'],
+
+  detect($) {
+    return /kentaa/i.test($('meta[name="generator"]').attr('content') || '') ||
+      $('script[src*="kentaa"], link[href*="kentaa"], img[src*="kentaa"]').length > 0;
+  },
+
+  extract($, text) {
+    return {
+      raised: amountAfter(text, /Opgehaald/) ?? amountBefore(text, /opgehaald/),
+      goal: amountAfter(text, /streefbedrag|doelbedrag/) ?? amountAfter(text, /\bdoel\b/)
+    };
+  }
+};
@@ -0,0 +1,20 @@
+const { amountAfter, amountBefore, raisedOfGoal } = require('./amounts');
+
+// Whydonate fundraisers: "€ 1.361 opgehaald van € 2.026" or split over separate elements
+module.exports = {
+  name: 'whydonate',
+  label: 'Whydonate',
+  hosts: ['whydonate.com', 'whydonate.nl', 'whydonate.eu'],
+
+  detect($) {
+    return $('link[href*="whydonate"], script[src*="whydonate"], meta[content*="Whydonate"]').length > 0;
+  },
+
+  extract($, text) {
+    const { raised, goal } = raisedOfGoal(text);
+    return {
+      raised: raised ?? amountBefore(text, /opgehaald|raised/),
+      goal: goal ?? amountAfter(text, /streefbedrag|doel|target|goal/)
+    };
+  }
+};
@@ -0,0 +1,338 @@
+// Public read-only pages:
+//   /share/:slug   the live badge with Open Graph and Twitter tags for link previews
+//   /embed/:slug   a compact progress bar for an <iframe>, see widget.js
+//   /team/:id      a team's combined badge and leaderboard
+// The tracker pages follow the tracker over the WebSocket as watchers, without the editor;
+// the team page refreshes every minute.
+// Texts follow the locale and distances the unit of the badge (config.locale and
+// config.distanceUnit, for teams the query string), see shared/page-messages.js.
+
+const I18n = require('../shared/i18n');
+const PageMessages = require('../shared/page-messages');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// JSON inside a <script> must not close the tag
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const pageText = (settings, text, vars) => I18n.translate(PageMessages, settings.locale, text, vars);
+const formatDistance = (km, settings) => I18n.formatDistance(km, settings.locale, settings.distanceUnit, 1);
+const htmlLang = (settings) => (I18n.isLocale(settings.locale) ? settings.locale : I18n.DEFAULT_LOCALE);
+
+function percentage(km, target) {
+  return target > 0 ? Math.min(Math.round((km / target) * 1000) / 10, 100) : 0;
+}
+
+// Connects as a watcher and calls onConfig(changes, revision) for the full config and
+// every change, and onDonation() when the raised amount is refreshed. Reconnects.
+const LIVE_SCRIPT = `
+        function followTracker(slug, { onConfig, onDonation }) {
+            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            const socket = new WebSocket(\`\${protocol}//\${window.location.host}/?tracker=\${encodeURIComponent(slug)}&watch=1\`);
+            socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'INIT_CONFIG') onConfig(message.data, message.revision);
+                else if (message.type === 'PATCHED') onConfig(message.changes, message.revision);
+                else if (message.type === 'UPDATE_DONATION') onDonation();
+            };
+            socket.onclose = () => setTimeout(() => followTracker(slug, { onConfig, onDonation }), 5000);
+        }`;
+
+// The same helpers in the page, on top of /shared/i18n.js and /shared/page-messages.js
+const FORMAT_SCRIPT = `
+        const pageText = (settings, text, vars) => I18n.translate(PageMessages, settings.locale, text, vars);
+        const formatDistance = (km, settings) => I18n.formatDistance(km, settings.locale, settings.distanceUnit, 1);`;
+
+const FORMAT_SCRIPT_TAGS = `<script src="/shared/i18n.js"></script>
+    <script src="/shared/page-messages.js"></script>`;
+
+// tracker: { slug, name, config }, baseUrl: absolute origin for the preview tags
+function sharePage({ tracker, apiBase, baseUrl }) {
+  const { config } = tracker;
+  const title = `${tracker.name} · ${config.title || 'Wandelbadge'}`;
+  const description = pageText(config, '{km} van {target} gewandeld ({percentage}%).', {
+    km: formatDistance(config.km, config),
+    target: formatDistance(config.target, config),
+    percentage: percentage(config.km, config.target)
+  });
+  const pageUrl = `${baseUrl}/share/${encodeURIComponent(tracker.slug)}`;
+  const imageUrl = `${baseUrl}${apiBase}/badge.png?size=1200x630`;
+
+  return `<!DOCTYPE html>
+<html lang="${htmlLang(config)}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta property="og:type" content="website">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(imageUrl)}">
+    <meta property="og:image:width" content="1200">
+    <meta property="og:image:height" content="630">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 16px; background: #f1f5f9; font-family: Inter, system-ui, sans-serif; color: #0f172a; }
+        img { max-width: 92vw; max-height: 80vh; border-radius: 24px; box-shadow: 0 20px 50px rgba(15, 23, 42, 0.15); }
+        h1 { margin: 0; font-size: 20px; }
+        p { margin: 0; font-size: 14px; color: #64748b; }
+        .live { display: inline-block; width: 8px; height: 8px; margin-right: 6px; border-radius: 50%; background: #cbd5e1; }
+        .live.on { background: #10b981; }
+    </style>
+</head>
+
+<body>
+    <h1>${escapeHtml(tracker.name)}</h1>
+    <img id="badge" src="${escapeHtml(apiBase)}/badge.png" alt="${escapeHtml(description)}">
+    <p><span id="live" class="live"></span><span id="summary">${escapeHtml(description)}</span></p>
+
+    ${FORMAT_SCRIPT_TAGS}
+    <script>
+        const SLUG = ${scriptJson(tracker.slug)};
+        const API_BASE = ${scriptJson(apiBase)};
+        const state = ${scriptJson({ km: config.km, target: config.target, locale: config.locale, distanceUnit: config.distanceUnit })};
+        let revision = 0;
+        let reloadTimer = null;
+${LIVE_SCRIPT}
+${FORMAT_SCRIPT}
+
+        // Swap in the new badge once it has loaded, so it never flickers
+        function reloadBadge() {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                const next = new Image();
+                next.onload = () => { document.getElementById('badge').src = next.src; };
+                next.src = \`\${API_BASE}/badge.png?v=\${revision}-\${Date.now()}\`;
+            }, 500);
+        }
+
+        followTracker(SLUG, {
+            onConfig(changes, newRevision) {
+                Object.assign(state, changes);
+                revision = newRevision;
+                const km = Number(state.km || 0);
+                const target = Number(state.target || 0);
+                const percentage = target > 0 ? Math.min(Math.round((km / target) * 1000) / 10, 100) : 0;
+                document.getElementById('summary').textContent = pageText(state, '{km} van {target} gewandeld ({percentage}%).', {
+                    km: formatDistance(km, state),
+                    target: formatDistance(target, state),
+                    percentage
+                });
+                document.getElementById('live').classList.add('on');
+                reloadBadge();
+            },
+            onDonation: reloadBadge
+        });
+    </script>
+</body>
+
+</html>`;
+}
+
+// Compact bar in the tracker's color and theme
+function embedPage({ tracker }) {
+  const { config } = tracker;
+  const dark = config.theme === 'dark';
+  const color = /^#[0-9a-fA-F]{3,8}$/.test(config.color) ? config.color : '#10b981';
+
+  return `<!DOCTYPE html>
+<html lang="${htmlLang(config)}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(tracker.name)}</title>
+    <style>
+        body { margin: 0; padding: 12px 14px; font-family: Inter, system-ui, sans-serif; background: ${dark ? '#0f172a' : '#ffffff'}; color: ${dark ? '#f8fafc' : '#0f172a'}; }
+        a { color: inherit; text-decoration: none; display: block; }
+        .row { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; font-size: 14px; }
+        .name { font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .figures { font-size: 12px; opacity: 0.7; white-space: nowrap; }
+        .bar { margin-top: 8px; height: 12px; border-radius: 6px; background: ${dark ? '#1e293b' : '#e2e8f0'}; overflow: hidden; }
+        .fill { height: 100%; width: 0; border-radius: 6px; background: ${color}; transition: width 0.6s ease; }
+    </style>
+</head>
+
+<body>
+    <a href="/share/${encodeURIComponent(tracker.slug)}" target="_blank" rel="noopener">
+        <div class="row">
+            <span class="name">${escapeHtml(config.title || tracker.name)}</span>
+            <span class="figures" id="figures"></span>
+        </div>
+        <div class="bar"><div class="fill" id="fill"></div></div>
+    </a>
+
+    ${FORMAT_SCRIPT_TAGS}
+    <script>
+        const SLUG = ${scriptJson(tracker.slug)};
+        const state = ${scriptJson({ km: config.km, target: config.target, color, locale: config.locale, distanceUnit: config.distanceUnit })};
+${LIVE_SCRIPT}
+${FORMAT_SCRIPT}
+
+        function render() {
+            const km = Number(state.km || 0);
+            const target = Number(state.target || 0);
+            const percentage = target > 0 ? Math.min(Math.round((km / target) * 1000) / 10, 100) : 0;
+            const value = I18n.formatNumber(I18n.toUnit(km, state.distanceUnit), state.locale, 1);
+            document.getElementById('figures').textContent = \`\${value} / \${formatDistance(target, state)} · \${percentage}%\`;
+            document.getElementById('fill').style.width = \`\${percentage}%\`;
+            if (/^#[0-9a-fA-F]{3,8}$/.test(state.color)) document.getElementById('fill').style.background = state.color;
+        }
+
+        render();
+        followTracker(SLUG, {
+            onConfig(changes) {
+                Object.assign(state, changes);
+                render();
+            },
+            onDonation() {}
+        });
+    </script>
+</body>
+
+</html>`;
+}
+
+// team is the result of computeTeam; locale and distanceUnit come from the query string
+// and are passed on to the badge
+function teamPage({ team, baseUrl, locale, distanceUnit }) {
+  const settings = { locale, distanceUnit };
+  const title = `${team.name} · ${pageText(settings, 'Teamuitdaging')}`;
+  const description = pageText(settings, '{km} van {target} samen gewandeld ({percentage}%) door {count} wandelaars.', {
+    km: formatDistance(team.km, settings),
+    target: formatDistance(team.target, settings),
+    percentage: Math.min(team.percentage, 100),
+    count: team.leaderboard.length
+  });
+  const badgeQuery = new URLSearchParams(Object.entries(settings).filter(([, value]) => value)).toString();
+  const badgeUrl = `/api/teams/${encodeURIComponent(team.id)}/badge.png${badgeQuery ? `?${badgeQuery}` : ''}`;
+  const previewUrl = `${baseUrl}${badgeUrl}${badgeQuery ? '&' : '?'}size=1200x630`;
+
+  return `<!DOCTYPE html>
+<html lang="${htmlLang(settings)}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta property="og:type" content="website">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(`${baseUrl}/team/${encodeURIComponent(team.id)}`)}">
+    <meta property="og:image" content="${escapeHtml(previewUrl)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:image" content="${escapeHtml(previewUrl)}">
+    <style>
+        body { margin: 0; padding: 24px 16px; background: #f1f5f9; font-family: Inter, system-ui, sans-serif; color: #0f172a; }
+        main { max-width: 960px; margin: 0 auto; display: flex; flex-wrap: wrap; gap: 24px; justify-content: center; align-items: flex-start; }
+        img { width: 360px; max-width: 100%; border-radius: 24px; box-shadow: 0 20px 50px rgba(15, 23, 42, 0.15); }
+        section { flex: 1 1 320px; background: white; border-radius: 24px; padding: 20px; box-shadow: 0 10px 30px rgba(15, 23, 42, 0.06); }
+        h1 { margin: 0 0 4px; font-size: 22px; }
+        p { margin: 0 0 16px; font-size: 14px; color: #64748b; }
+        .periods { display: flex; gap: 6px; margin-bottom: 12px; }
+        .periods button { flex: 1; padding: 6px; border: 1px solid #e2e8f0; border-radius: 10px; background: white; font-size: 12px; font-weight: 700; color: #64748b; cursor: pointer; }
+        .periods button.active { background: #0f172a; border-color: #0f172a; color: white; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        td { padding: 8px 4px; border-top: 1px solid #f1f5f9; }
+        td.rank { width: 28px; font-weight: 900; color: ${escapeHtml(team.color || '#10b981')}; }
+        td.km { text-align: right; font-weight: 700; white-space: nowrap; }
+        td.share { text-align: right; width: 56px; color: #94a3b8; font-size: 12px; }
+        .empty { color: #94a3b8; font-style: italic; }
+    </style>
+</head>
+
+<body>
+    <main>
+        <img id="badge" src="${escapeHtml(badgeUrl)}" alt="${escapeHtml(description)}">
+        <section>
+            <h1>${escapeHtml(team.name)}</h1>
+            <p id="summary">${escapeHtml(description)}</p>
+            <div class="periods">
+                <button data-period="all" class="active">${escapeHtml(pageText(settings, 'Totaal'))}</button>
+                <button data-period="year">${escapeHtml(pageText(settings, 'Jaar'))}</button>
+                <button data-period="month">${escapeHtml(pageText(settings, 'Maand'))}</button>
+                <button data-period="week">${escapeHtml(pageText(settings, 'Week'))}</button>
+            </div>
+            <table><tbody id="leaderboard"></tbody></table>
+        </section>
+    </main>
+
+    ${FORMAT_SCRIPT_TAGS}
+    <script>
+        const TEAM_ID = ${scriptJson(team.id)};
+        const BADGE_URL = ${scriptJson(badgeUrl)};
+        const settings = ${scriptJson(settings)};
+        let period = 'all';
+        let team = ${scriptJson(team)};
+${FORMAT_SCRIPT}
+
+        function render() {
+            const body = document.getElementById('leaderboard');
+            body.innerHTML = '';
+            if (!team.leaderboard.length) {
+                const cell = document.createElement('td');
+                cell.className = 'empty';
+                cell.textContent = pageText(settings, 'Nog geen wandelaars in dit team.');
+                body.appendChild(document.createElement('tr')).appendChild(cell);
+            }
+            team.leaderboard.forEach(member => {
+                const row = document.createElement('tr');
+                [['rank', member.rank], ['name', member.name], ['km', formatDistance(member.km, settings)], ['share', \`\${member.share}%\`]].forEach(([cls, text]) => {
+                    const cell = document.createElement('td');
+                    cell.className = cls;
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+            document.getElementById('summary').textContent = pageText(settings, '{km} van {target} samen gewandeld ({percentage}%) door {count} wandelaars.', {
+                km: formatDistance(team.km, settings),
+                target: formatDistance(team.target, settings),
+                percentage: Math.min(team.percentage, 100),
+                count: team.leaderboard.length
+            });
+        }
+
+        async function refresh() {
+            try {
+                const res = await fetch(\`/api/teams/\${encodeURIComponent(TEAM_ID)}/leaderboard?period=\${period}\`);
+                if (!res.ok) throw new Error(\`HTTP \${res.status}\`);
+                const previousKm = team.km;
+                team = await res.json();
+                render();
+                if (team.km !== previousKm) document.getElementById('badge').src = \`\${BADGE_URL}\${BADGE_URL.includes('?') ? '&' : '?'}v=\${Date.now()}\`;
+            } catch (err) {
+                console.warn('Failed to refresh the leaderboard:', err);
+            }
+        }
+
+        document.querySelectorAll('.periods button').forEach(button => {
+            button.addEventListener('click', () => {
+                period = button.dataset.period;
+                document.querySelectorAll('.periods button').forEach(b => b.classList.toggle('active', b === button));
+                refresh();
+            });
+        });
+
+        render();
+        setInterval(refresh, 60 * 1000);
+    </script>
+</body>
+
+</html>`;
+}
+
+module.exports = { sharePage, embedPage, teamPage };
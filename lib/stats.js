@@ -0,0 +1,153 @@
+// Statistics over a tracker's walk log, plus the daily series of the totals the
+// badge showed. A series entry is { date: 'YYYY-MM-DD', km, steps }.
+
+const SERIES_LIMIT = 1100; // three years of days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Days since 1970 for a YYYY-MM-DD date, timezone independent
+function dayNumber(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function dateOfDayNumber(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ISO 8601 week, e.g. 2026-W09
+function isoWeek(date) {
+  const n = dayNumber(date);
+  const weekday = (new Date(n * DAY_MS).getUTCDay() + 6) % 7; // Monday is 0
+  const thursday = new Date((n - weekday + 3) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Store today's totals; one entry per day, the last value of the day wins.
+// Returns true when the series changed.
+function recordDay(series, date, { km, steps }) {
+  const entry = { date, km, steps: parseInt(steps, 10) || 0 };
+  const last = series[series.length - 1];
+  if (last && last.date === date) {
+    if (last.km === entry.km && last.steps === entry.steps) return false;
+    series[series.length - 1] = entry;
+  } else {
+    series.push(entry);
+  }
+  if (series.length > SERIES_LIMIT) {
+    series.splice(0, series.length - SERIES_LIMIT);
+  }
+  return true;
+}
+
+// Totals per key, in key order
+function sumBy(days, keyOf) {
+  const groups = new Map();
+  days.forEach((day) => {
+    const key = keyOf(day.date);
+    const group = groups.get(key) || { km: 0, steps: 0, walks: 0 };
+    group.km += day.km;
+    group.steps += day.steps;
+    group.walks += day.walks;
+    groups.set(key, group);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, g]) => ({ key, km: round(g.km), steps: g.steps, walks: g.walks }));
+}
+
+function longestStreak(days) {
+  let best = { days: 0, start: null, end: null };
+  let start = null;
+  let previous = null;
+  days.forEach(({ date }) => {
+    const n = dayNumber(date);
+    start = previous !== null && n === previous + 1 ? start : n;
+    previous = n;
+    if (n - start + 1 > best.days) {
+      best = { days: n - start + 1, start: dateOfDayNumber(start), end: date };
+    }
+  });
+  return best;
+}
+
+// Streak that is still going: it ends today or yesterday
+function currentStreak(days, today) {
+  let count = 0;
+  let expected = dayNumber(today);
+  for (let i = days.length - 1; i >= 0; i--) {
+    const n = dayNumber(days[i].date);
+    if (count === 0 && n === expected - 1) expected = n; // nothing walked yet today
+    if (n !== expected) break;
+    count++;
+    expected--;
+  }
+  return count;
+}
+
+// Aggregates for the Statistieken tab and /api/stats
+function computeStats(walks, { target, today }) {
+  // Walk days in date order, several walks on a day count as one day
+  const byDate = new Map();
+  walks.forEach((walk) => {
+    const day = byDate.get(walk.date) || { date: walk.date, km: 0, steps: 0, walks: 0 };
+    day.km += walk.distance;
+    day.steps += walk.steps || 0;
+    day.walks++;
+    byDate.set(walk.date, day);
+  });
+  const days = [...byDate.values()].filter(d => d.km > 0).sort((a, b) => a.date.localeCompare(b.date));
+
+  let total = 0;
+  const cumulative = days.map((day) => {
+    total += day.km;
+    return { date: day.date, km: round(total) };
+  });
+
+  const bestDay = days.reduce((best, day) => (!best || day.km > best.km ? day : best), null);
+
+  // Steps per km only count walks that have a step count
+  const stepMonths = new Map();
+  walks.forEach((walk) => {
+    const month = walk.date.slice(0, 7);
+    const group = stepMonths.get(month) || { month, km: 0, kmWithSteps: 0, steps: 0 };
+    group.km += walk.distance;
+    if (walk.steps > 0) {
+      group.kmWithSteps += walk.distance;
+      group.steps += walk.steps;
+    }
+    stepMonths.set(month, group);
+  });
+  const stepsPerKm = (steps, km) => (km > 0 ? Math.round(steps / km) : null);
+  const kmWithSteps = [...stepMonths.values()].reduce((sum, g) => sum + g.kmWithSteps, 0);
+  const stepsTotal = [...stepMonths.values()].reduce((sum, g) => sum + g.steps, 0);
+
+  return {
+    totals: {
+      km: round(total),
+      steps: walks.reduce((sum, w) => sum + (w.steps || 0), 0),
+      walks: walks.length,
+      activeDays: days.length,
+      target
+    },
+    perWeek: sumBy(days, isoWeek).map(({ key, ...g }) => ({ week: key, ...g })),
+    perMonth: sumBy(days, date => date.slice(0, 7)).map(({ key, ...g }) => ({ month: key, ...g })),
+    cumulative,
+    longestStreak: longestStreak(days),
+    currentStreak: currentStreak(days, today),
+    bestDay: bestDay ? { date: bestDay.date, km: round(bestDay.km), steps: bestDay.steps, walks: bestDay.walks } : null,
+    steps: {
+      kmWithSteps: round(kmWithSteps),
+      kmWithoutSteps: round(total - kmWithSteps),
+      stepsPerKm: stepsPerKm(stepsTotal, kmWithSteps),
+      perMonth: [...stepMonths.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(g => ({ month: g.month, km: round(g.km), kmWithSteps: round(g.kmWithSteps), steps: g.steps, stepsPerKm: stepsPerKm(g.steps, g.kmWithSteps) }))
+    }
+  };
+}
+
+module.exports = { recordDay, computeStats, isoWeek };
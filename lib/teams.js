@@ -0,0 +1,94 @@
+const { isoWeek } = require('./stats');
+
+// Team challenges: several trackers walk towards one shared target, each with their
+// own walk log. A team is { id, name, target, members: [slug], color, createdAt }.
+
+const PERIODS = ['all', 'year', 'month', 'week'];
+const MAX_MEMBERS = 50;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Returns the team with only its known fields, throws when it is unusable.
+// trackerExists(slug) tells whether a member exists.
+function validateTeam(data, trackerExists) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Team must be an object');
+  }
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name || name.length > 50) {
+    throw new Error('Name must be 1-50 characters');
+  }
+  const target = Number(data.target);
+  if (!Number.isFinite(target) || target <= 0 || target > 1000000) {
+    throw new Error('Target must be a positive number of km');
+  }
+  if (!Array.isArray(data.members) || data.members.length > MAX_MEMBERS) {
+    throw new Error(`Members must be a list of at most ${MAX_MEMBERS} tracker slugs`);
+  }
+  const unknown = data.members.find(slug => !trackerExists(slug));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown tracker: ${unknown}`);
+  }
+  if (data.color !== undefined && data.color !== null && !/^#[0-9a-fA-F]{6}$/.test(data.color)) {
+    throw new Error('Color must be a hex color like #10b981');
+  }
+
+  return {
+    name,
+    target,
+    members: [...new Set(data.members)],
+    color: data.color || null
+  };
+}
+
+// Whether a walk date falls in the period that contains today
+function inPeriod(date, period, today) {
+  if (period === 'year') return date.slice(0, 4) === today.slice(0, 4);
+  if (period === 'month') return date.slice(0, 7) === today.slice(0, 7);
+  if (period === 'week') return isoWeek(date) === isoWeek(today);
+  return true;
+}
+
+// Combined progress and the leaderboard for a period. members are { slug, name, walks }
+// of the team's trackers; the progress towards the target always counts all walks.
+function computeTeam(team, members, { period = 'all', today }) {
+  const board = members.map(({ slug, name, walks }) => {
+    const counted = walks.filter(w => inPeriod(w.date, period, today));
+    return {
+      slug,
+      name,
+      km: round(counted.reduce((sum, w) => sum + w.distance, 0)),
+      steps: counted.reduce((sum, w) => sum + (w.steps || 0), 0),
+      walks: counted.length,
+      totalKm: round(walks.reduce((sum, w) => sum + w.distance, 0)),
+      totalSteps: walks.reduce((sum, w) => sum + (w.steps || 0), 0)
+    };
+  });
+  board.sort((a, b) => b.km - a.km || b.steps - a.steps || a.name.localeCompare(b.name));
+
+  const periodKm = board.reduce((sum, m) => sum + m.km, 0);
+  const km = round(board.reduce((sum, m) => sum + m.totalKm, 0));
+
+  // Equal distances share a rank
+  let rank = 0;
+  const leaderboard = board.map((member, i) => {
+    if (i === 0 || member.km !== board[i - 1].km) rank = i + 1;
+    const { totalKm, totalSteps, ...rest } = member;
+    return { rank, ...rest, share: periodKm > 0 ? Math.round((member.km / periodKm) * 1000) / 10 : 0 };
+  });
+
+  return {
+    id: team.id,
+    name: team.name,
+    target: team.target,
+    color: team.color,
+    members: team.members,
+    km,
+    steps: board.reduce((sum, m) => sum + m.totalSteps, 0),
+    percentage: Math.round((km / team.target) * 1000) / 10,
+    period,
+    leaderboard
+  };
+}
+
+module.exports = { PERIODS, validateTeam, computeTeam };
@@ -0,0 +1,97 @@
+// Layout model of the badge, shared by the renderer, the editor and the server.
+// config.layout maps an element id to { x, y, scale, visible }: an offset in badge pixels
+// from the element's place in the default layout, a size factor around its center and
+// whether it is drawn. Elements without an entry keep the default layout.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BadgeLayout = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // In drawing order. toggle names the older config flag that also hides the element;
+  // the card only moves, its size comes from wScale and hScale.
+  const ELEMENTS = [
+    { id: 'card', label: 'Kaart', resizable: false },
+    { id: 'year', label: 'Jaartal', toggle: 'showYear' },
+    { id: 'badge', label: 'Percentage' },
+    { id: 'icon', label: 'Icoon' },
+    { id: 'title', label: 'Titel', toggle: 'showTitle' },
+    { id: 'bar', label: 'Voortgangsbalk' },
+    { id: 'km', label: 'Kilometers' },
+    { id: 'goal', label: 'Doel' },
+    { id: 'donation', label: 'Inzameling' },
+    { id: 'team', label: 'Topwandelaars' },
+    { id: 'day', label: 'Dag' },
+    { id: 'steps', label: 'Stappen' },
+    { id: 'handle', label: 'Handle' },
+    { id: 'weather', label: 'Weer & terrein' },
+    { id: 'logo', label: 'Logo', toggle: 'showLogo' }
+  ];
+
+  const MAX_OFFSET = 2000;
+  const MIN_SCALE = 0.25;
+  const MAX_SCALE = 4;
+
+  const DEFAULT_ELEMENT = { x: 0, y: 0, scale: 1, visible: true };
+
+  function findElement(id) {
+    return ELEMENTS.find(e => e.id === id) || null;
+  }
+
+  // The sliders before the layout model stored offsets in unscaled pixels
+  function legacyOffset(config, id) {
+    const wScale = config.wScale || 1.0;
+    if (id === 'badge') return { x: (config.badgeOffsetX || 0) * wScale, y: (config.badgeOffsetY || 0) * wScale };
+    if (id === 'logo') return { x: (config.logoOffsetX || 0) * wScale, y: (config.logoOffsetY || 0) * wScale };
+    if (id === 'year') return { x: 0, y: (config.yearOffsetY || 0) * wScale };
+    return { x: 0, y: 0 };
+  }
+
+  function elementLayout(config, id) {
+    const entry = config.layout && config.layout[id];
+    return { ...DEFAULT_ELEMENT, ...(entry ? {} : legacyOffset(config, id)), ...entry };
+  }
+
+  function isVisible(config, id) {
+    const element = findElement(id);
+    if (element && element.toggle && config[element.toggle] === false) return false;
+    return elementLayout(config, id).visible !== false;
+  }
+
+  const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+
+  // config.layout with the entry of one element changed and kept within bounds. The old
+  // offsets are folded in, so the layout alone describes the design from the first change on.
+  function updateLayout(config, id, changes) {
+    const layout = { ...config.layout };
+    ['badge', 'logo', 'year'].forEach((legacyId) => {
+      const offset = legacyOffset(config, legacyId);
+      if (!layout[legacyId] && (offset.x || offset.y)) layout[legacyId] = { ...DEFAULT_ELEMENT, ...offset };
+    });
+    const entry = { ...elementLayout(config, id), ...changes };
+    layout[id] = {
+      x: clamp(entry.x, -MAX_OFFSET, MAX_OFFSET),
+      y: clamp(entry.y, -MAX_OFFSET, MAX_OFFSET),
+      scale: clamp(entry.scale, MIN_SCALE, MAX_SCALE),
+      visible: entry.visible !== false
+    };
+    return layout;
+  }
+
+  function isValidLayout(layout) {
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) return false;
+    const isOffset = (v) => typeof v === 'number' && Number.isFinite(v) && Math.abs(v) <= MAX_OFFSET;
+    return Object.entries(layout).every(([id, entry]) => {
+      if (!findElement(id) || !entry || typeof entry !== 'object') return false;
+      return Object.entries(entry).every(([key, v]) => {
+        if (key === 'x' || key === 'y') return isOffset(v);
+        if (key === 'scale') return typeof v === 'number' && v >= MIN_SCALE && v <= MAX_SCALE;
+        if (key === 'visible') return typeof v === 'boolean';
+        return false;
+      });
+    });
+  }
+
+  return { ELEMENTS, MIN_SCALE, MAX_SCALE, findElement, elementLayout, isVisible, updateLayout, isValidLayout };
+});
@@ -0,0 +1,467 @@
+// Badge renderer shared by the editor (browser canvas) and the server (node-canvas).
+// Both sides must go through drawBadge so /api/badge.png matches the live preview.
+// Labels and numbers follow config.locale and distances config.distanceUnit, see i18n.js.
+// Elements are placed by config.layout, see badge-layout.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'), require('./badge-layout'));
+  } else {
+    root.BadgeRenderer = factory(root.I18n, root.BadgeLayout);
+  }
+})(typeof self !== 'undefined' ? self : this, function (I18n, BadgeLayout) {
+  const BADGE_WIDTH = 1080;
+  const BADGE_HEIGHT = 1920;
+  const EMOJI_FONT = '"Noto Color Emoji", "Apple Color Emoji", "Segoe UI Emoji", Arial';
+  const DONATION_HEIGHT = 140; // extra card height for the fundraising section
+  const DONATION_COLOR = '#f43f5e';
+  const MILESTONE_COLOR = '#f59e0b';
+  const PACE_COLORS = { ahead: '#10b981', behind: '#f59e0b' };
+  const TEAM_ROW_HEIGHT = 58; // per contributor in the team section
+
+  // Config fonts may carry CSS quotes ("'Noto Serif'"), normalize them for every canvas
+  function fontFamily(f) {
+    return `"${(f || 'Inter').replace(/['"]/g, '')}"`;
+  }
+
+  // The fundraising section is drawn when it is enabled and the server found an amount
+  function hasDonation(config, donation) {
+    return !!(config.showDonation && donation && donation.raised !== null && donation.raised !== undefined);
+  }
+
+  // Extra card height for the top contributors of a team badge
+  function teamHeight(team) {
+    return team && team.contributors.length ? 100 + team.contributors.length * TEAM_ROW_HEIGHT : 0;
+  }
+
+  function formatEuro(amount, locale) {
+    return `€${I18n.formatNumber(Math.round(amount), locale)}`;
+  }
+
+  function roundRect(ctx, x, y, width, height, radius, fill) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+    if (fill) ctx.fill();
+  }
+
+  // Celebration ribbon across the top left corner of the card
+  function drawMilestoneRibbon(ctx, milestone, wX, wY, wW, wH, wScale, locale, unit) {
+    ctx.save();
+    roundRect(ctx, wX, wY, wW, wH, 80 * wScale, false);
+    ctx.clip();
+    ctx.translate(wX, wY);
+    ctx.rotate(-Math.PI / 4);
+
+    const ribbonY = 130 * wScale;
+    const ribbonH = 100 * wScale;
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = 'rgba(0,0,0,0.25)';
+    ctx.fillStyle = MILESTONE_COLOR;
+    ctx.fillRect(-400 * wScale, ribbonY, 800 * wScale, ribbonH);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = `900 ${40 * wScale}px "Inter"`;
+    ctx.fillText(I18n.badgeText(locale, 'MIJLPAAL'), 0, ribbonY + 48 * wScale);
+    ctx.font = `700 ${26 * wScale}px "Inter"`;
+    ctx.fillText(I18n.badgeText(locale, '{label} BEREIKT', { label: I18n.milestoneLabel(milestone, locale, unit) }), 0, ribbonY + 84 * wScale);
+    ctx.restore();
+  }
+
+  // Where the card goes for an output size. The badge is laid out in a virtual canvas
+  // that is scaled onto the output: story-shaped outputs keep the 1080px wide layout
+  // with yPos measured from the bottom, shorter ones center the year text and card
+  // and let the card grow wider (up to 1.6x) to use the room.
+  function computeFrame(config, width, height, donation = null, team = null) {
+    const wScale = config.wScale || 1.0;
+    const hScale = config.hScale || 0.9;
+    const yPos = config.yPos || 1300;
+    const baseCardWidth = (BADGE_WIDTH - 200) * wScale;
+    const cardHeight = 760 * hScale + (hasDonation(config, donation) ? DONATION_HEIGHT : 0) + teamHeight(team);
+
+    const storyScale = width / BADGE_WIDTH;
+    if (height / storyScale >= BADGE_HEIGHT) {
+      const virtualHeight = height / storyScale;
+      return { scale: storyScale, story: true, width: BADGE_WIDTH, height: virtualHeight, cardWidth: baseCardWidth, cardHeight, cardY: virtualHeight - yPos };
+    }
+
+    const margin = 60;
+    const yearHeight = BadgeLayout.isVisible(config, 'year') && config.yearText ? config.yearSize * wScale + 60 : 0;
+    const contentHeight = yearHeight + cardHeight + margin * 2;
+
+    let scale = height / contentHeight;
+    let cardWidth = Math.min(width / scale - margin * 2, baseCardWidth * 1.6);
+    if (cardWidth < baseCardWidth) {
+      cardWidth = baseCardWidth;
+      scale = width / (cardWidth + margin * 2);
+    }
+
+    const virtualHeight = height / scale;
+    return {
+      scale,
+      story: false,
+      width: width / scale,
+      height: virtualHeight,
+      cardWidth,
+      cardHeight,
+      cardY: (virtualHeight - contentHeight) / 2 + margin + yearHeight
+    };
+  }
+
+  // Draws the badge for a config. Images are loaded by the caller:
+  // images.background and images.logo are drawable images or null.
+  // fill paints a solid background first, for formats without transparency.
+  // donation holds the server's fundraising amounts ({ raised, goal }) or null.
+  // milestone ({ type, value, label }) draws the celebration variant for a reached milestone.
+  // pace is the result of Pace.computePace, shown when config.showPace is on.
+  // team ({ members, contributors: [{ name, km }] }) draws the team variant with the top contributors.
+  // yearOpacity (0 to 1) fades the year text, for the frames of an animated badge.
+  // Returns { scale, elements: [{ id, x, y, width, height }] } with the element boxes in
+  // output pixels, for selecting and dragging them in the editor.
+  function drawBadge(ctx, config, { images = {}, width = BADGE_WIDTH, height = BADGE_HEIGHT, fill = null, donation = null, milestone = null, pace = null, team = null, yearOpacity = 1 } = {}) {
+    const locale = I18n.isLocale(config.locale) ? config.locale : I18n.DEFAULT_LOCALE;
+    const unit = config.distanceUnit === 'mi' ? 'mi' : 'km';
+    const formatNumber = (value, digits) => I18n.formatNumber(value, locale, digits);
+    // Converted miles get one decimal, 1.609344 leaves long fractions
+    const distance = (km, digits = unit === 'km' ? 2 : 1) => formatNumber(I18n.toUnit(km, unit), digits);
+
+    ctx.clearRect(0, 0, width, height);
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    // Background Image
+    const bgImg = images.background;
+    if (bgImg) {
+      const scale = Math.max(width / bgImg.width, height / bgImg.height);
+      ctx.drawImage(bgImg, (width - bgImg.width * scale) / 2, (height - bgImg.height * scale) / 2, bgImg.width * scale, bgImg.height * scale);
+    }
+
+    const frame = computeFrame(config, width, height, donation, team);
+    const canvas = { width: frame.width, height: frame.height };
+    ctx.save();
+    ctx.scale(frame.scale, frame.scale);
+
+    // Every element is drawn in its default place and moved and scaled by its layout
+    // entry around its center; elements collects where they ended up, in output pixels
+    const elements = [];
+    const shown = (id, hasContent) => !!hasContent && BadgeLayout.isVisible(config, id);
+    function place(id, box, drawElement) {
+      const { x, y, scale } = BadgeLayout.elementLayout(config, id);
+      const cx = box.x + box.width / 2;
+      const cy = box.y + box.height / 2;
+      ctx.save();
+      ctx.translate(cx + x, cy + y);
+      ctx.scale(scale, scale);
+      ctx.translate(-cx, -cy);
+      drawElement();
+      ctx.restore();
+      elements.push({
+        id,
+        x: (cx + x - (box.width * scale) / 2) * frame.scale,
+        y: (cy + y - (box.height * scale) / 2) * frame.scale,
+        width: box.width * scale * frame.scale,
+        height: box.height * scale * frame.scale
+      });
+    }
+    // Box of a text for the current font and alignment
+    function textBox(text, x, y, maxWidth) {
+      const metrics = ctx.measureText(text);
+      const textWidth = maxWidth ? Math.min(metrics.width, maxWidth) : metrics.width;
+      const left = ctx.textAlign === 'center' ? x - textWidth / 2 : ctx.textAlign === 'right' ? x - textWidth : x;
+      const ascent = metrics.actualBoundingBoxAscent || 0;
+      return { x: left, y: y - ascent, width: textWidth, height: ascent + (metrics.actualBoundingBoxDescent || 0) };
+    }
+
+    // The card takes everything on it along; outside the story layout it stays centered
+    const wScale = config.wScale || 1.0;
+    const cardOffset = frame.story ? BadgeLayout.elementLayout(config, 'card') : { x: 0, y: 0 };
+    const wW = frame.cardWidth;
+    const wH = frame.cardHeight;
+    const wX = (canvas.width - wW) / 2 + cardOffset.x;
+    const wY = frame.cardY + cardOffset.y;
+
+    // Card Background
+    if (shown('card', true)) {
+      ctx.save();
+      ctx.shadowBlur = 80;
+      ctx.shadowColor = 'rgba(0,0,0,0.3)';
+      ctx.fillStyle = config.theme === 'light' ? `rgba(255, 255, 255, ${config.opacity})` : `rgba(15, 23, 42, ${config.opacity})`;
+      roundRect(ctx, wX, wY, wW, wH, 80 * wScale, true);
+      ctx.restore();
+    }
+    elements.push({ id: 'card', x: wX * frame.scale, y: wY * frame.scale, width: wW * frame.scale, height: wH * frame.scale });
+
+    const perc = Math.min(parseFloat(config.km || 0) / config.target, 1);
+
+    // Top Year Text
+    if (shown('year', config.yearText)) {
+      ctx.font = `${config.yearBold ? '900' : '400'} ${config.yearItalic ? 'italic' : ''} ${config.yearSize * wScale}px ${fontFamily(config.yearFont)}`;
+      ctx.textAlign = 'center';
+      const yearY = wY - 60;
+      place('year', textBox(config.yearText, canvas.width / 2, yearY), () => {
+        ctx.globalAlpha = yearOpacity;
+        ctx.fillStyle = config.color;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = 'rgba(0,0,0,0.1)';
+        ctx.fillText(config.yearText, canvas.width / 2, yearY);
+      });
+    }
+
+    // Badge Circular
+    if (shown('badge', true)) {
+      const badgeRadius = 95 * wScale;
+      const badgeX = wX + wW - 60;
+      const badgeY = wY + 60;
+      place('badge', { x: badgeX - badgeRadius, y: badgeY - badgeRadius, width: badgeRadius * 2, height: badgeRadius * 2 }, () => {
+        ctx.fillStyle = config.color;
+        ctx.beginPath();
+        ctx.arc(badgeX, badgeY, badgeRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = `900 ${52 * wScale}px "Inter"`;
+        ctx.textAlign = 'center';
+        ctx.fillText(`${Math.round(perc * 100)}%`, badgeX, badgeY + 5);
+        ctx.font = `700 ${20 * wScale}px "Inter"`;
+        ctx.fillText(I18n.badgeText(locale, 'KLAAR'), badgeX, badgeY + 45);
+      });
+    }
+
+    // Icon, content moves down when it is shown
+    const showIcon = shown('icon', config.icon);
+    if (showIcon) {
+      ctx.font = `${config.iconSize * wScale}px ${EMOJI_FONT}`;
+      ctx.textAlign = 'center';
+      place('icon', textBox(config.icon, canvas.width / 2, wY + 130), () => {
+        // If it falls back to monochrome, use the accent color instead of white
+        ctx.fillStyle = config.color;
+        ctx.fillText(config.icon, canvas.width / 2, wY + 130);
+      });
+    }
+
+    // Title
+    if (shown('title', config.title)) {
+      ctx.font = `${config.titleBold ? '900' : '400'} ${config.titleItalic ? 'italic' : ''} ${config.titleSize * wScale}px ${fontFamily(config.titleFont)}`;
+      ctx.textAlign = 'center';
+      const titleX = canvas.width / 2;
+      const titleY = showIcon ? wY + 220 : wY + 150;
+      const box = textBox(config.title, titleX, titleY);
+      const textWidth = box.width;
+      const checkSize = 20 * wScale;
+      if (config.titleCheck) {
+        box.width += 25 * wScale + checkSize;
+      }
+      place('title', box, () => {
+        ctx.fillStyle = config.theme === 'light' ? '#0f172a' : '#f8fafc';
+        ctx.fillText(config.title, titleX, titleY);
+        if (!config.titleCheck) return;
+
+        const checkX = titleX + (textWidth / 2) + (25 * wScale);
+        const checkY = titleY - (15 * wScale);
+        ctx.fillStyle = '#10b981';
+        ctx.beginPath(); ctx.arc(checkX, checkY, checkSize, 0, Math.PI * 2); ctx.fill();
+        ctx.strokeStyle = 'white'; ctx.lineWidth = 4 * wScale; ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(checkX - checkSize / 2.5, checkY);
+        ctx.lineTo(checkX - checkSize / 10, checkY + checkSize / 3);
+        ctx.lineTo(checkX + checkSize / 2, checkY - checkSize / 4);
+        ctx.stroke();
+      });
+    }
+
+    // Progress Bar
+    const bX = wX + (80 * wScale);
+    const bY = showIcon ? wY + 310 : wY + 240;
+    const bW = wW - (160 * wScale);
+    const bH = 55;
+    if (shown('bar', true)) {
+      place('bar', { x: bX, y: bY, width: bW, height: bH }, () => {
+        ctx.fillStyle = config.theme === 'light' ? '#f1f5f9' : '#334155';
+        roundRect(ctx, bX, bY, bW, bH, 27, true);
+        if (perc > 0.01) {
+          ctx.fillStyle = config.color;
+          roundRect(ctx, bX, bY, Math.max(bW * perc, 54), bH, 27, true);
+        }
+
+        // Pace: a ghost marker where the bar should be today, and ahead/behind above the bar
+        if (config.showPace && pace && pace.status !== 'done') {
+          const ghostX = bX + bW * Math.min(pace.expectedKm / config.target, 1);
+          ctx.save();
+          ctx.strokeStyle = config.theme === 'light' ? 'rgba(15, 23, 42, 0.45)' : 'rgba(248, 250, 252, 0.6)';
+          ctx.lineWidth = 5 * wScale;
+          ctx.setLineDash([8 * wScale, 6 * wScale]);
+          ctx.beginPath();
+          ctx.moveTo(ghostX, bY - 8);
+          ctx.lineTo(ghostX, bY + bH + 8);
+          ctx.stroke();
+          ctx.restore();
+
+          const sign = pace.difference >= 0 ? '+' : '-';
+          ctx.fillStyle = PACE_COLORS[pace.status];
+          ctx.font = `900 ${28 * wScale}px "Inter"`;
+          ctx.textAlign = 'right';
+          const status = I18n.badgeText(locale, pace.status === 'ahead' ? 'OP SCHEMA' : 'ACHTER');
+          ctx.fillText(`${status} ${sign}${formatNumber(I18n.toUnit(Math.abs(pace.difference), unit), 0)} ${unit.toUpperCase()}`, bX + bW, bY - 20);
+        }
+      });
+    }
+
+    // Kilometers Text
+    const textColor = config.theme === 'light' ? '#0f172a' : '#f8fafc';
+    ctx.font = `${config.kmBold ? '900' : '400'} ${config.kmItalic ? 'italic' : ''} ${config.kmSize * wScale}px ${fontFamily(config.kmFont)}`;
+    ctx.textAlign = 'left';
+    const kmText = `${distance(config.km)} ${unit}`;
+    const kmWidth = ctx.measureText(kmText).width;
+    if (shown('km', true)) {
+      place('km', textBox(kmText, bX, bY + 160), () => {
+        ctx.fillStyle = textColor;
+        ctx.fillText(kmText, bX, bY + 160);
+      });
+    }
+
+    // Longer translations of the goal label are squeezed next to the kilometers
+    if (shown('goal', true)) {
+      ctx.font = `${config.goalBold ? '700' : '400'} ${config.goalItalic ? 'italic' : ''} ${config.goalSize * wScale}px ${fontFamily(config.goalFont)}`;
+      ctx.textAlign = 'right';
+      const goalText = `${I18n.badgeText(locale, 'DOEL')}: ${distance(config.target, 0)}`;
+      const goalWidth = Math.max(bW - kmWidth - 20 * wScale, bW * 0.3);
+      place('goal', textBox(goalText, bX + bW, bY + 160, goalWidth), () => {
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(goalText, bX + bW, bY + 160, goalWidth);
+      });
+    }
+
+    // Fundraising: amounts and a second, thinner progress bar under the kilometers
+    const showDonation = hasDonation(config, donation);
+    if (shown('donation', showDonation)) {
+      const dY = bY + 245;
+      place('donation', { x: bX, y: dY - 40 * wScale, width: bW, height: 40 * wScale + 55 }, () => {
+        ctx.fillStyle = textColor;
+        ctx.font = `900 ${40 * wScale}px "Inter"`;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${formatEuro(donation.raised, locale)} ${I18n.badgeText(locale, 'OPGEHAALD')}`, bX, dY);
+        if (!donation.goal) return;
+
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = `700 ${32 * wScale}px "Inter"`;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${I18n.badgeText(locale, 'DOEL')}: ${formatEuro(donation.goal, locale)}`, bX + bW, dY);
+
+        const dPerc = Math.min(donation.raised / donation.goal, 1);
+        ctx.fillStyle = config.theme === 'light' ? '#f1f5f9' : '#334155';
+        roundRect(ctx, bX, dY + 25, bW, 30, 15, true);
+        if (dPerc > 0.01) {
+          ctx.fillStyle = DONATION_COLOR;
+          roundRect(ctx, bX, dY + 25, Math.max(bW * dPerc, 30), 30, 15, true);
+        }
+      });
+    }
+
+    // Team: the top contributors under the combined progress
+    const teamSection = teamHeight(team);
+    if (shown('team', teamSection)) {
+      const tY = bY + 245 + (showDonation ? DONATION_HEIGHT : 0);
+      const rowsHeight = 70 + (team.contributors.length - 1) * TEAM_ROW_HEIGHT;
+      place('team', { x: bX, y: tY - 28 * wScale, width: bW, height: 28 * wScale + rowsHeight }, () => {
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = `700 ${28 * wScale}px "Inter"`;
+        ctx.textAlign = 'left';
+        ctx.fillText(I18n.badgeText(locale, 'TOPWANDELAARS · {count} DEELNEMERS', { count: team.members }), bX, tY);
+
+        team.contributors.forEach((member, i) => {
+          const rowY = tY + 70 + i * TEAM_ROW_HEIGHT;
+          ctx.fillStyle = config.color;
+          ctx.beginPath();
+          ctx.arc(bX + 20 * wScale, rowY - 12 * wScale, 22 * wScale, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = 'white';
+          ctx.font = `900 ${24 * wScale}px "Inter"`;
+          ctx.textAlign = 'center';
+          ctx.fillText(String(i + 1), bX + 20 * wScale, rowY - 3 * wScale);
+
+          ctx.fillStyle = textColor;
+          ctx.font = `700 ${36 * wScale}px "Inter"`;
+          ctx.textAlign = 'left';
+          ctx.fillText(member.name, bX + 60 * wScale, rowY);
+          ctx.fillStyle = config.theme === 'light' ? '#64748b' : '#94a3b8';
+          ctx.textAlign = 'right';
+          ctx.fillText(`${formatNumber(I18n.toUnit(member.km, unit), 0)} ${unit}`, bX + bW, rowY);
+        });
+      });
+    }
+
+    // Bottom Stats, hidden ones make room for the next
+    const extraHeight = (showDonation ? DONATION_HEIGHT : 0) + teamSection;
+    let bottomY = (showIcon ? bY + 255 : bY + 235) + extraHeight;
+    ctx.textAlign = 'left';
+    if (shown('day', config.day)) {
+      const dayY = bottomY;
+      const dayText = `${I18n.badgeText(locale, 'DAG')} ${config.day}`;
+      ctx.font = `900 ${42 * wScale}px "Inter"`;
+      place('day', textBox(dayText, bX, dayY), () => {
+        ctx.fillStyle = config.color;
+        ctx.fillText(dayText, bX, dayY);
+      });
+      bottomY += 55;
+    }
+    if (shown('steps', config.steps)) {
+      const stepsY = bottomY;
+      const stepsText = `👣 ${formatNumber(config.steps)} ${I18n.badgeText(locale, 'STAPPEN')}`;
+      ctx.font = `700 ${38 * wScale}px "Inter"`;
+      place('steps', textBox(stepsText, bX, stepsY), () => {
+        ctx.fillStyle = config.theme === 'light' ? '#64748b' : '#94a3b8';
+        ctx.fillText(stepsText, bX, stepsY);
+      });
+      bottomY += 55;
+    }
+    if (shown('handle', config.handle)) {
+      const handleText = config.handle.toUpperCase();
+      ctx.font = `900 ${36 * wScale}px "Inter"`;
+      place('handle', textBox(handleText, bX, bottomY + 10), () => {
+        ctx.fillStyle = config.color;
+        ctx.fillText(handleText, bX, bottomY + 10);
+      });
+    }
+
+    // Weather & Terrain
+    if (shown('weather', config.weather || config.terrain)) {
+      const weatherText = `${config.weather} ${config.terrain}`;
+      const weatherY = (showIcon ? bY + 250 : bY + 230) + extraHeight;
+      ctx.font = `${50 * wScale}px ${EMOJI_FONT}`;
+      ctx.textAlign = 'right';
+      place('weather', textBox(weatherText, bX + bW, weatherY), () => {
+        ctx.fillStyle = config.theme === 'light' ? '#64748b' : '#94a3b8';
+        ctx.fillText(weatherText, bX + bW, weatherY);
+      });
+    }
+
+    // Logo
+    if (shown('logo', images.logo)) {
+      const lS = 110 * wScale;
+      const lX = wX + wW - lS - 60;
+      const lY = wY + wH - lS - 60;
+      place('logo', { x: lX, y: lY, width: lS, height: lS }, () => {
+        ctx.drawImage(images.logo, lX, lY, lS, lS);
+      });
+    }
+
+    if (milestone) {
+      drawMilestoneRibbon(ctx, milestone, wX, wY, wW, wH, wScale, locale, unit);
+    }
+
+    ctx.restore();
+    return { scale: frame.scale, elements };
+  }
+
+  return { BADGE_WIDTH, BADGE_HEIGHT, computeFrame, drawBadge, roundRect };
+});
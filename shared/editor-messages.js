@@ -0,0 +1,862 @@
+// Editor texts in English, German and French, keyed by the Dutch text in index.html.
+// Placeholders like {error} are filled in by I18n.translate; missing texts stay Dutch.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EditorMessages = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const en = {
+    // Modals and header
+    'Start over?': 'Start over?',
+    'Dit wist alle kilometers, stappen en stijlen van de server. De stijl kun je daarna nog terugzetten met ongedaan maken (Ctrl+Z), de wandelingen niet.': 'This erases all distances, steps and styles from the server. You can still bring the style back with undo (Ctrl+Z), the walks you cannot.',
+    'Annuleren': 'Cancel',
+    'Wis alles': 'Erase all',
+    'Inloggen': 'Log in',
+    'Log in met het beheerderswachtwoord of de edit-token van deze tracker om de badge te bewerken.': 'Log in with the admin password or the edit token of this tracker to edit the badge.',
+    'Wachtwoord of edit-token': 'Password or edit token',
+    'Ingelogd': 'Logged in',
+    'Beheerder': 'Admin',
+    'Edit-token voor deze tracker': 'Edit token for this tracker',
+    'Een nieuwe token maakt de vorige ongeldig.': 'A new token makes the previous one invalid.',
+    'Nieuwe token maken': 'Create new token',
+    'Sluiten': 'Close',
+    'Uitloggen': 'Log out',
+    'Je bent ingelogd als beheerder en kunt alle trackers bewerken.': 'You are logged in as admin and can edit all trackers.',
+    'Je kunt deze tracker bewerken.': 'You can edit this tracker.',
+    'Inloggen mislukt: {error}': 'Login failed: {error}',
+    'Een nieuwe edit-token maken? De huidige token werkt dan niet meer.': 'Create a new edit token? The current token will stop working.',
+    'Token maken mislukt: {error}': 'Creating the token failed: {error}',
+    'Ongedaan maken (Ctrl+Z)': 'Undo (Ctrl+Z)',
+    'Opnieuw (Ctrl+Shift+Z)': 'Redo (Ctrl+Shift+Z)',
+    'Personaliseer je wandeldoelen badge.': 'Personalise your walking goal badge.',
+    '👀 Alleen bekijken. Log in om deze badge te bewerken.': '👀 View only. Log in to edit this badge.',
+    'Tekst & Stijl': 'Text & Style',
+    'Vormgeving': 'Design',
+    'Statistieken': 'Statistics',
+    'Wijziging niet opgeslagen: {error}': 'Change not saved: {error}',
+    'Iemand anders wijzigde tegelijk {fields}; die versie is behouden.': 'Someone else changed {fields} at the same time; their version was kept.',
+    'Iemand anders wijzigde intussen {fields}; die versie vervangt je offline wijziging.': 'Someone else changed {fields} in the meantime; their version replaces your offline change.',
+    '🎉 Mijlpaal bereikt: {milestones}!': '🎉 Milestone reached: {milestones}!',
+
+    // Presence
+    'Jij': 'You',
+    'Naam aanpassen': 'Change name',
+    'Je naam voor andere editors:': 'Your name for other editors:',
+    'Anoniem': 'Anonymous',
+    'Telefoon': 'Phone',
+    'Computer': 'Computer',
+    'Is nu aan het bewerken': 'Is editing now',
+    'Kan bewerken': 'Can edit',
+    'Kijkt mee': 'Watching',
+
+    // Data tab
+    'Kilometers': 'Kilometres',
+    'Mijlen': 'Miles',
+    'Doel (km)': 'Goal (km)',
+    'Doel ({unit})': 'Goal ({unit})',
+    'Dag van uitdaging': 'Challenge day',
+    'Aantal stappen': 'Number of steps',
+    'Kilometers, stappen en dag worden berekend uit je wandellog. Zonder "Auto" toont de badge de dag van je laatste wandeling.': 'Distance, steps and day are calculated from your walk log. Without "Auto" the badge shows the day of your latest walk.',
+    'Taal': 'Language',
+    'Eenheid': 'Unit',
+    'Kilometers (km)': 'Kilometres (km)',
+    'Mijlen (mi)': 'Miles (mi)',
+    'Schema op de badge': 'Pace on the badge',
+    'Donaties op de badge': 'Donations on the badge',
+    'De server haalt het opgehaalde bedrag regelmatig op van je actiepagina.': 'The server regularly fetches the amount raised from your fundraising page.',
+    'Ophalen mislukt: {error}': 'Fetching failed: {error}',
+    '€{raised} van €{goal} · {adapter}, bijgewerkt {date}': '€{raised} of €{goal} · {adapter}, updated {date}',
+    '(laatste poging mislukt: {error})': '(last attempt failed: {error})',
+    'Voer een volledige URL in (https://...).': 'Enter a full URL (https://...).',
+    'Mijlpalen': 'Milestones',
+    'Percentages van je doel of vaste kilometers, gescheiden door komma\'s. Bij elke mijlpaal krijg je een feestelijke badge.': 'Percentages of your goal or fixed distances, separated by commas. Every milestone gets you a celebration badge.',
+    'Gebruik bijvoorbeeld "25%, 50%, 1000": percentages tot 100% of kilometers.': 'Use for example "25%, 50%, 1000": percentages up to 100% or distances.',
+    'Normaal': 'Normal',
+    'Bekijk': 'View',
+    '{milestone} · nog {distance}': '{milestone} · {distance} to go',
+
+    // Walk log
+    'Wandeling toevoegen': 'Add walk',
+    'Wandeling wijzigen': 'Edit walk',
+    'Afstand (km)': 'Distance (km)',
+    'Afstand ({unit})': 'Distance ({unit})',
+    'Stappen': 'Steps',
+    'Duur (min)': 'Duration (min)',
+    'Weer': 'Weather',
+    'Terrein': 'Terrain',
+    'Notitie (optioneel)': 'Note (optional)',
+    'Toevoegen': 'Add',
+    'Opslaan': 'Save',
+    'Opslaan mislukt: {error}': 'Saving failed: {error}',
+    'Geen verbinding: de wandeling wordt verstuurd zodra er weer verbinding is.': 'No connection: the walk will be sent once you are back online.',
+    'Wandeling van {date} niet opgeslagen: {error}': 'Walk of {date} not saved: {error}',
+    '📴 Geen verbinding. Wijzigingen worden op dit apparaat bewaard en verstuurd zodra er weer verbinding is.': '📴 No connection. Changes are kept on this device and sent once you are back online.',
+    '⏳ Wandelingen die nog verstuurd worden: {count}': '⏳ Walks waiting to be sent: {count}',
+    'Wandellog': 'Walk log',
+    'Nog geen wandelingen gelogd.': 'No walks logged yet.',
+    'Gegevens': 'Data',
+    'Wandellog als CSV': 'Walk log as CSV',
+    'Een back-up bevat alle trackers, presets, teams en afbeeldingen. Terugzetten vervangt alles; de huidige gegevens worden eerst op de server bewaard.': 'A backup holds all trackers, presets, teams and images. Restoring replaces everything; the current data is kept on the server first.',
+    'Back-up downloaden': 'Download backup',
+    'Back-up terugzetten': 'Restore backup',
+    'Back-up maken mislukt: {error}': 'Creating the backup failed: {error}',
+    'Alle trackers, presets en teams vervangen door de back-up "{name}"?': 'Replace all trackers, presets and teams with the backup "{name}"?',
+    'Back-up teruggezet: {trackers} trackers. De vorige gegevens staan in data/{backup}.': 'Backup restored: {trackers} trackers. The previous data is in data/{backup}.',
+    'Terugzetten mislukt: {error}': 'Restoring failed: {error}',
+    '{steps} stappen': '{steps} steps',
+    'Wijzig': 'Edit',
+    'Wis': 'Delete',
+    'Deze wandeling verwijderen?': 'Delete this walk?',
+    'Importeren': 'Import',
+    'Voeg wandelingen toe uit GPX-, TCX- of FIT-bestanden van je horloge of app. Een activiteit die al is geïmporteerd wordt overgeslagen.': 'Add walks from GPX, TCX or FIT files from your watch or app. An activity that was already imported is skipped.',
+    'BESTANDEN KIEZEN': 'CHOOSE FILES',
+    '{distance} op {date}': '{distance} on {date}',
+    'al geïmporteerd, overgeslagen': 'already imported, skipped',
+    'geen activiteit met afstand gevonden': 'no activity with a distance found',
+
+    // Sharing, webhooks and scheduled badges
+    'Delen': 'Share',
+    'Een openbare pagina met de live badge, zonder editor. Of zet de voortgangsbalk op je eigen site.': 'A public page with the live badge, without the editor. Or put the progress bar on your own site.',
+    'Automatisch loggen': 'Automatic logging',
+    'Met een webhook-token kunnen snelkoppelingen en automations kilometers of stappen toevoegen, zonder in te loggen. Een nieuw token vervangt het oude.': 'With a webhook token, shortcuts and automations can add distance or steps without logging in. A new token replaces the old one.',
+    'Token maken': 'Create token',
+    'Kan geen token maken: {error}': 'Cannot create a token: {error}',
+    'Token (wordt maar één keer getoond):': 'Token (shown only once):',
+    'Automatisch posten': 'Automatic posting',
+    'De server maakt op vaste tijden een badge, bewaart die in het archief en stuurt hem naar een webhook, een e-mailadres of een map.': 'The server creates a badge at set times, keeps it in the archive and sends it to a webhook, an email address or a folder.',
+    'Cron: minuut uur dag maand weekdag': 'Cron: minute hour day month weekday',
+    'Vierkant (1080×1080)': 'Square (1080×1080)',
+    'Webhook-URL (multipart POST)': 'Webhook URL (multipart POST)',
+    'E-mailadres': 'Email address',
+    'E-mail (SMTP_URL niet ingesteld)': 'Email (SMTP_URL not set)',
+    'Map, bijv. instagram/wachtrij': 'Folder, e.g. instagram/queue',
+    'Nu uitvoeren': 'Run now',
+    'Volgende badge: {date}': 'Next badge: {date}',
+    'Automatisch posten staat uit.': 'Automatic posting is off.',
+    'verstuurd': 'sent',
+    'mislukt (poging {attempt}): {error}': 'failed (attempt {attempt}): {error}',
+    'Planning opgeslagen': 'Schedule saved',
+    'Badge gearchiveerd als {file}': 'Badge archived as {file}',
+    'Uitvoeren mislukt: {error}': 'Running failed: {error}',
+
+    // Text & style and design tabs
+    'Grote koptekst (boven)': 'Large heading (top)',
+    'Modern (Sans)': 'Modern (Sans)',
+    'Klassiek (Serif)': 'Classic (Serif)',
+    'Tracker (Mono)': 'Tracker (Mono)',
+    'Zacht (Rounded)': 'Soft (Rounded)',
+    'Handschrift': 'Handwriting',
+    'Grootte Koptekst': 'Heading Size',
+    'Verticale Positie': 'Vertical Position',
+    'Titel op kaart': 'Title on card',
+    'Toon': 'Show',
+    'Vinkje': 'Check mark',
+    'Grootte Titel': 'Title Size',
+    'Kilometers Tekst Styling': 'Distance Text Styling',
+    'Grootte Kilometers Tekst': 'Distance Text Size',
+    'Doel Tekst Styling': 'Goal Text Styling',
+    'Grootte Doel Tekst': 'Goal Text Size',
+    'Instagram @Handle': 'Instagram @Handle',
+    '@jouwnaam': '@yourname',
+    'Logo & Doelen': 'Logo & Goals',
+    'EIGEN LOGO': 'OWN LOGO',
+    'Bewaar een vormgeving en zet hem met één klik terug. Kilometers, doel en teksten blijven ongewijzigd.': 'Save a design and bring it back with one click. Distance, goal and texts stay unchanged.',
+    'Toepassen': 'Apply',
+    'Huidige stijl opslaan': 'Save current style',
+    'Exporteren': 'Export',
+    'Preset verwijderen': 'Delete preset',
+    'Nog geen presets': 'No presets yet',
+    'Naam van de preset:': 'Name of the preset:',
+    'Preset "{name}" verwijderen?': 'Delete preset "{name}"?',
+    'Toepassen mislukt: {error}': 'Applying failed: {error}',
+    'Importeren mislukt: {error}': 'Import failed: {error}',
+    'Verwijderen mislukt: {error}': 'Deleting failed: {error}',
+    'Breedte Kaart': 'Card Width',
+    'Hoogte Kaart': 'Card Height',
+    'Hoog': 'High',
+    'Midden': 'Middle',
+    'Laag': 'Low',
+    'Kaart Doorzichtigheid': 'Card Opacity',
+    'Indeling': 'Layout',
+    'Sleep onderdelen in de preview om ze te verplaatsen en trek aan de hoeken om ze te vergroten. Pijltjestoetsen schuiven het gekozen onderdeel verder, met Shift in grotere stappen.': 'Drag elements in the preview to move them and pull their corners to resize them. Arrow keys nudge the selected element, with Shift in bigger steps.',
+    'Onderdeel herstellen': 'Reset element',
+    'Indeling herstellen': 'Reset layout',
+    'Tonen': 'Show',
+    'Kaart': 'Card',
+    'Jaartal': 'Year',
+    'Icoon': 'Icon',
+    'Titel': 'Title',
+    'Voortgangsbalk': 'Progress bar',
+    'Inzameling': 'Fundraising',
+    'Topwandelaars': 'Top walkers',
+    'Dag': 'Day',
+    'Weer & terrein': 'Weather & terrain',
+    'Hoofdicoon': 'Main icon',
+    'Uit': 'Off',
+    'Grootte Icoon': 'Icon Size',
+    'Accentkleur': 'Accent colour',
+    'Kaart Mode': 'Card Mode',
+    'Licht': 'Light',
+    'Donker': 'Dark',
+    'Selecteer een geldig afbeeldingsbestand.': 'Select a valid image file.',
+    'Achtergrondafbeelding is te groot. Maximale grootte is 10MB.': 'Background image is too large. Maximum size is 10MB.',
+    'Kan afbeelding niet uploaden: {error}': 'Cannot upload the image: {error}',
+    'Kan afbeelding niet laden. Probeer een ander bestand.': 'Cannot load the image. Try another file.',
+    'Fout bij het lezen van het bestand.': 'Error reading the file.',
+    'Logo is te groot. Maximale grootte is 10MB.': 'Logo is too large. Maximum size is 10MB.',
+    'Kan logo niet uploaden: {error}': 'Cannot upload the logo: {error}',
+
+    // Home Assistant tab
+    'MQTT actief': 'MQTT active',
+    'Home Assistant vindt de sensoren van deze badge automatisch. Voeg kilometers toe door een getal te publiceren op': 'Home Assistant finds the sensors of this badge automatically. Add distance by publishing a number to',
+    'Home Assistant Integratie': 'Home Assistant Integration',
+    'Test een fundraiser URL en krijg de API endpoint voor Home Assistant REST sensor.': 'Test a fundraiser URL and get the API endpoint for a Home Assistant REST sensor.',
+    'Fundraiser URL': 'Fundraiser URL',
+    'Geavanceerd': 'Advanced',
+    'Automatisch herkennen': 'Detect automatically',
+    'Voor andere sites: een CSS selector en/of regex (eerste groep) per bedrag.': 'For other sites: a CSS selector and/or regex (first group) per amount.',
+    'Opgehaald selector': 'Raised selector',
+    'Doel selector': 'Goal selector',
+    'Opgehaald regex': 'Raised regex',
+    'Doel regex': 'Goal regex',
+    'Test URL': 'Test URL',
+    'Gevonden Data': 'Found Data',
+    'Opgehaald': 'Raised',
+    'Doel': 'Goal',
+    'Toon op de badge': 'Show on the badge',
+    'API Endpoint voor Home Assistant': 'API Endpoint for Home Assistant',
+    'Kopieer': 'Copy',
+    'Home Assistant YAML Voorbeeld': 'Home Assistant YAML Example',
+    'Kopieer YAML': 'Copy YAML',
+    'Ruwe JSON Response': 'Raw JSON Response',
+    'Fout bij ophalen': 'Error fetching',
+    'Voer een URL in om te testen.': 'Enter a URL to test.',
+    'Laden...': 'Loading...',
+    'Onbekende fout': 'Unknown error',
+    '{adapter} · {percent}% zeker': '{adapter} · {percent}% certain',
+    '✓ Gekopieerd!': '✓ Copied!',
+
+    // Statistics and teams
+    'Kilometers per': 'Distance per',
+    'Week': 'Week',
+    'Maand': 'Month',
+    'Totaal tegenover je doel': 'Total against your goal',
+    'De stippellijn is een gelijkmatig tempo naar je doel op 31 december.': 'The dotted line is an even pace to your goal on December 31st.',
+    'Stappen en kilometers': 'Steps and distance',
+    'Dezelfde cijfers staan als JSON op': 'The same figures are available as JSON at',
+    ', bijvoorbeeld voor Home Assistant.': ', for example for Home Assistant.',
+    'Nog geen wandelingen.': 'No walks yet.',
+    'Totaal': 'Total',
+    '{walks} wandelingen op {days} dagen': '{walks} walks on {days} days',
+    'Schema': 'Pace',
+    'Doel gehaald': 'Goal reached',
+    'Op schema': 'On track',
+    'Achter': 'Behind',
+    '{distance} voor': '{distance} ahead',
+    '{distance} achter': '{distance} behind',
+    'Langste reeks': 'Longest streak',
+    'Huidige reeks': 'Current streak',
+    '{count} dag': '{count} day',
+    '{count} dagen': '{count} days',
+    'Beste dag': 'Best day',
+    'Stappen per {unit}': 'Steps per {unit}',
+    '{steps} stappen in totaal': '{steps} steps in total',
+    '{with} met stappen, {without} zonder.': '{with} with steps, {without} without.',
+    '{steps} stappen/{unit}': '{steps} steps/{unit}',
+    'geen stappen': 'no steps',
+    'Doel gehaald! 🎉': 'Goal reached! 🎉',
+    'nog onbekend': 'not known yet',
+    'Op schema: {difference} voor. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'On track: {difference} ahead. Needed {required}/day, your average {current}/day ({remaining}/day from now). Expected finish: {finish}.',
+    'Achter: {difference} achter. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'Behind: {difference} behind. Needed {required}/day, your average {current}/day ({remaining}/day from now). Expected finish: {finish}.',
+    'Dit jaar': 'This year',
+    'Deze maand': 'This month',
+    'Deze week': 'This week',
+    'Nog geen teams. Een team wandelt samen naar één doel, iedereen met een eigen tracker.': 'No teams yet. A team walks towards one goal together, everyone with their own tracker.',
+    '+ Nieuw team': '+ New team',
+    'Tracker uit team halen': 'Remove tracker from team',
+    'Tracker aan team toevoegen': 'Add tracker to team',
+    'Naam van het team:': 'Name of the team:',
+    'Gezamenlijk doel in {unit}:': 'Combined goal in {unit}:',
+    'Team aanmaken mislukt: {error}': 'Creating the team failed: {error}',
+    'Team aanpassen mislukt: {error}': 'Updating the team failed: {error}',
+
+    // Trackers and preview
+    '+ Nieuwe tracker': '+ New tracker',
+    'Naam van de nieuwe tracker (bijv. de naam van de wandelaar):': 'Name of the new tracker (e.g. the name of the walker):',
+    'Edit-token voor "{name}". Bewaar deze goed, hij wordt maar één keer getoond:': 'Edit token for "{name}". Keep it safe, it is shown only once:',
+    'Tracker aanmaken mislukt: {error}': 'Creating the tracker failed: {error}',
+    'TEST OP JE EIGEN FOTO': 'TRY ON YOUR OWN PHOTO',
+    'DOWNLOAD STORY PNG': 'DOWNLOAD STORY PNG',
+    'DOWNLOAD STORY GIF': 'DOWNLOAD STORY GIF',
+    'Geanimeerde story: de balk vult zich vanaf je stand voor de laatste wandeldag': 'Animated story: the bar fills up from your total before the latest walk day',
+    'Animatie maken mislukt: {error}': 'Creating the animation failed: {error}',
+    'Alles wissen / Opnieuw beginnen': 'Erase everything / Start over',
+    'Live Preview': 'Live Preview'
+  };
+
+  const de = {
+    'Start over?': 'Neu anfangen?',
+    'Dit wist alle kilometers, stappen en stijlen van de server. De stijl kun je daarna nog terugzetten met ongedaan maken (Ctrl+Z), de wandelingen niet.': 'Dies löscht alle Kilometer, Schritte und Stile vom Server. Den Stil kannst du danach mit Rückgängig (Strg+Z) wiederherstellen, die Wanderungen nicht.',
+    'Annuleren': 'Abbrechen',
+    'Wis alles': 'Alles löschen',
+    'Inloggen': 'Anmelden',
+    'Log in met het beheerderswachtwoord of de edit-token van deze tracker om de badge te bewerken.': 'Melde dich mit dem Admin-Passwort oder dem Bearbeitungstoken dieses Trackers an, um das Badge zu bearbeiten.',
+    'Wachtwoord of edit-token': 'Passwort oder Bearbeitungstoken',
+    'Ingelogd': 'Angemeldet',
+    'Beheerder': 'Admin',
+    'Edit-token voor deze tracker': 'Bearbeitungstoken für diesen Tracker',
+    'Een nieuwe token maakt de vorige ongeldig.': 'Ein neues Token macht das vorherige ungültig.',
+    'Nieuwe token maken': 'Neues Token erstellen',
+    'Sluiten': 'Schließen',
+    'Uitloggen': 'Abmelden',
+    'Je bent ingelogd als beheerder en kunt alle trackers bewerken.': 'Du bist als Admin angemeldet und kannst alle Tracker bearbeiten.',
+    'Je kunt deze tracker bewerken.': 'Du kannst diesen Tracker bearbeiten.',
+    'Inloggen mislukt: {error}': 'Anmeldung fehlgeschlagen: {error}',
+    'Een nieuwe edit-token maken? De huidige token werkt dan niet meer.': 'Ein neues Bearbeitungstoken erstellen? Das aktuelle Token funktioniert dann nicht mehr.',
+    'Token maken mislukt: {error}': 'Token erstellen fehlgeschlagen: {error}',
+    'Ongedaan maken (Ctrl+Z)': 'Rückgängig (Strg+Z)',
+    'Opnieuw (Ctrl+Shift+Z)': 'Wiederholen (Strg+Umschalt+Z)',
+    'Personaliseer je wandeldoelen badge.': 'Gestalte dein Wanderziel-Badge.',
+    '👀 Alleen bekijken. Log in om deze badge te bewerken.': '👀 Nur ansehen. Melde dich an, um dieses Badge zu bearbeiten.',
+    'Tekst & Stijl': 'Text & Stil',
+    'Vormgeving': 'Gestaltung',
+    'Statistieken': 'Statistik',
+    'Wijziging niet opgeslagen: {error}': 'Änderung nicht gespeichert: {error}',
+    'Iemand anders wijzigde tegelijk {fields}; die versie is behouden.': 'Jemand anderes hat gleichzeitig {fields} geändert; diese Version wurde behalten.',
+    'Iemand anders wijzigde intussen {fields}; die versie vervangt je offline wijziging.': 'Jemand anderes hat inzwischen {fields} geändert; diese Version ersetzt deine Offline-Änderung.',
+    '🎉 Mijlpaal bereikt: {milestones}!': '🎉 Meilenstein erreicht: {milestones}!',
+
+    'Jij': 'Du',
+    'Naam aanpassen': 'Namen ändern',
+    'Je naam voor andere editors:': 'Dein Name für andere Bearbeiter:',
+    'Anoniem': 'Anonym',
+    'Telefoon': 'Telefon',
+    'Computer': 'Computer',
+    'Is nu aan het bewerken': 'Bearbeitet gerade',
+    'Kan bewerken': 'Darf bearbeiten',
+    'Kijkt mee': 'Schaut zu',
+
+    'Kilometers': 'Kilometer',
+    'Mijlen': 'Meilen',
+    'Doel (km)': 'Ziel (km)',
+    'Doel ({unit})': 'Ziel ({unit})',
+    'Dag van uitdaging': 'Tag der Challenge',
+    'Aantal stappen': 'Anzahl Schritte',
+    'Kilometers, stappen en dag worden berekend uit je wandellog. Zonder "Auto" toont de badge de dag van je laatste wandeling.': 'Strecke, Schritte und Tag werden aus deinem Wanderlog berechnet. Ohne „Auto“ zeigt das Badge den Tag deiner letzten Wanderung.',
+    'Taal': 'Sprache',
+    'Eenheid': 'Einheit',
+    'Kilometers (km)': 'Kilometer (km)',
+    'Mijlen (mi)': 'Meilen (mi)',
+    'Schema op de badge': 'Zeitplan auf dem Badge',
+    'Donaties op de badge': 'Spenden auf dem Badge',
+    'De server haalt het opgehaalde bedrag regelmatig op van je actiepagina.': 'Der Server holt den gesammelten Betrag regelmäßig von deiner Spendenseite.',
+    'Ophalen mislukt: {error}': 'Abrufen fehlgeschlagen: {error}',
+    '€{raised} van €{goal} · {adapter}, bijgewerkt {date}': '€{raised} von €{goal} · {adapter}, aktualisiert {date}',
+    '(laatste poging mislukt: {error})': '(letzter Versuch fehlgeschlagen: {error})',
+    'Voer een volledige URL in (https://...).': 'Gib eine vollständige URL ein (https://...).',
+    'Mijlpalen': 'Meilensteine',
+    'Percentages van je doel of vaste kilometers, gescheiden door komma\'s. Bij elke mijlpaal krijg je een feestelijke badge.': 'Prozente deines Ziels oder feste Strecken, durch Kommas getrennt. Zu jedem Meilenstein gibt es ein Feier-Badge.',
+    'Gebruik bijvoorbeeld "25%, 50%, 1000": percentages tot 100% of kilometers.': 'Zum Beispiel „25%, 50%, 1000“: Prozente bis 100% oder Strecken.',
+    'Normaal': 'Normal',
+    'Bekijk': 'Ansehen',
+    '{milestone} · nog {distance}': '{milestone} · noch {distance}',
+
+    'Wandeling toevoegen': 'Wanderung hinzufügen',
+    'Wandeling wijzigen': 'Wanderung ändern',
+    'Afstand (km)': 'Strecke (km)',
+    'Afstand ({unit})': 'Strecke ({unit})',
+    'Stappen': 'Schritte',
+    'Duur (min)': 'Dauer (min)',
+    'Weer': 'Wetter',
+    'Terrein': 'Gelände',
+    'Notitie (optioneel)': 'Notiz (optional)',
+    'Toevoegen': 'Hinzufügen',
+    'Opslaan': 'Speichern',
+    'Opslaan mislukt: {error}': 'Speichern fehlgeschlagen: {error}',
+    'Geen verbinding: de wandeling wordt verstuurd zodra er weer verbinding is.': 'Keine Verbindung: Die Wanderung wird gesendet, sobald wieder eine Verbindung besteht.',
+    'Wandeling van {date} niet opgeslagen: {error}': 'Wanderung vom {date} nicht gespeichert: {error}',
+    '📴 Geen verbinding. Wijzigingen worden op dit apparaat bewaard en verstuurd zodra er weer verbinding is.': '📴 Keine Verbindung. Änderungen werden auf diesem Gerät gespeichert und gesendet, sobald wieder eine Verbindung besteht.',
+    '⏳ Wandelingen die nog verstuurd worden: {count}': '⏳ Wanderungen, die noch gesendet werden: {count}',
+    'Wandellog': 'Wanderlog',
+    'Nog geen wandelingen gelogd.': 'Noch keine Wanderungen eingetragen.',
+    'Gegevens': 'Daten',
+    'Wandellog als CSV': 'Wanderlog als CSV',
+    'Een back-up bevat alle trackers, presets, teams en afbeeldingen. Terugzetten vervangt alles; de huidige gegevens worden eerst op de server bewaard.': 'Eine Sicherung enthält alle Tracker, Presets, Teams und Bilder. Wiederherstellen ersetzt alles; die aktuellen Daten werden vorher auf dem Server aufbewahrt.',
+    'Back-up downloaden': 'Sicherung herunterladen',
+    'Back-up terugzetten': 'Sicherung wiederherstellen',
+    'Back-up maken mislukt: {error}': 'Sicherung fehlgeschlagen: {error}',
+    'Alle trackers, presets en teams vervangen door de back-up "{name}"?': 'Alle Tracker, Presets und Teams durch die Sicherung „{name}“ ersetzen?',
+    'Back-up teruggezet: {trackers} trackers. De vorige gegevens staan in data/{backup}.': 'Sicherung wiederhergestellt: {trackers} Tracker. Die vorherigen Daten liegen in data/{backup}.',
+    'Terugzetten mislukt: {error}': 'Wiederherstellen fehlgeschlagen: {error}',
+    '{steps} stappen': '{steps} Schritte',
+    'Wijzig': 'Ändern',
+    'Wis': 'Löschen',
+    'Deze wandeling verwijderen?': 'Diese Wanderung löschen?',
+    'Importeren': 'Importieren',
+    'Voeg wandelingen toe uit GPX-, TCX- of FIT-bestanden van je horloge of app. Een activiteit die al is geïmporteerd wordt overgeslagen.': 'Füge Wanderungen aus GPX-, TCX- oder FIT-Dateien deiner Uhr oder App hinzu. Bereits importierte Aktivitäten werden übersprungen.',
+    'BESTANDEN KIEZEN': 'DATEIEN WÄHLEN',
+    '{distance} op {date}': '{distance} am {date}',
+    'al geïmporteerd, overgeslagen': 'bereits importiert, übersprungen',
+    'geen activiteit met afstand gevonden': 'keine Aktivität mit Strecke gefunden',
+
+    'Delen': 'Teilen',
+    'Een openbare pagina met de live badge, zonder editor. Of zet de voortgangsbalk op je eigen site.': 'Eine öffentliche Seite mit dem Live-Badge, ohne Editor. Oder bau den Fortschrittsbalken in deine eigene Website ein.',
+    'Automatisch loggen': 'Automatisch eintragen',
+    'Met een webhook-token kunnen snelkoppelingen en automations kilometers of stappen toevoegen, zonder in te loggen. Een nieuw token vervangt het oude.': 'Mit einem Webhook-Token können Kurzbefehle und Automationen Strecke oder Schritte ohne Anmeldung hinzufügen. Ein neues Token ersetzt das alte.',
+    'Token maken': 'Token erstellen',
+    'Kan geen token maken: {error}': 'Token kann nicht erstellt werden: {error}',
+    'Token (wordt maar één keer getoond):': 'Token (wird nur einmal angezeigt):',
+    'Automatisch posten': 'Automatisch posten',
+    'De server maakt op vaste tijden een badge, bewaart die in het archief en stuurt hem naar een webhook, een e-mailadres of een map.': 'Der Server erstellt zu festen Zeiten ein Badge, legt es im Archiv ab und schickt es an einen Webhook, eine E-Mail-Adresse oder einen Ordner.',
+    'Cron: minuut uur dag maand weekdag': 'Cron: Minute Stunde Tag Monat Wochentag',
+    'Vierkant (1080×1080)': 'Quadrat (1080×1080)',
+    'Webhook-URL (multipart POST)': 'Webhook-URL (multipart POST)',
+    'E-mailadres': 'E-Mail-Adresse',
+    'E-mail (SMTP_URL niet ingesteld)': 'E-Mail (SMTP_URL nicht gesetzt)',
+    'Map, bijv. instagram/wachtrij': 'Ordner, z. B. instagram/warteschlange',
+    'Nu uitvoeren': 'Jetzt ausführen',
+    'Volgende badge: {date}': 'Nächstes Badge: {date}',
+    'Automatisch posten staat uit.': 'Automatisches Posten ist aus.',
+    'verstuurd': 'gesendet',
+    'mislukt (poging {attempt}): {error}': 'fehlgeschlagen (Versuch {attempt}): {error}',
+    'Planning opgeslagen': 'Zeitplan gespeichert',
+    'Badge gearchiveerd als {file}': 'Badge archiviert als {file}',
+    'Uitvoeren mislukt: {error}': 'Ausführen fehlgeschlagen: {error}',
+
+    'Grote koptekst (boven)': 'Große Überschrift (oben)',
+    'Modern (Sans)': 'Modern (Sans)',
+    'Klassiek (Serif)': 'Klassisch (Serif)',
+    'Tracker (Mono)': 'Tracker (Mono)',
+    'Zacht (Rounded)': 'Weich (Rounded)',
+    'Handschrift': 'Handschrift',
+    'Grootte Koptekst': 'Größe Überschrift',
+    'Verticale Positie': 'Vertikale Position',
+    'Titel op kaart': 'Titel auf der Karte',
+    'Toon': 'Anzeigen',
+    'Vinkje': 'Häkchen',
+    'Grootte Titel': 'Größe Titel',
+    'Kilometers Tekst Styling': 'Streckentext Stil',
+    'Grootte Kilometers Tekst': 'Größe Streckentext',
+    'Doel Tekst Styling': 'Zieltext Stil',
+    'Grootte Doel Tekst': 'Größe Zieltext',
+    'Instagram @Handle': 'Instagram @Handle',
+    '@jouwnaam': '@deinname',
+    'Logo & Doelen': 'Logo & Ziele',
+    'EIGEN LOGO': 'EIGENES LOGO',
+    'Bewaar een vormgeving en zet hem met één klik terug. Kilometers, doel en teksten blijven ongewijzigd.': 'Speichere eine Gestaltung und stelle sie mit einem Klick wieder her. Strecke, Ziel und Texte bleiben unverändert.',
+    'Toepassen': 'Anwenden',
+    'Huidige stijl opslaan': 'Aktuellen Stil speichern',
+    'Exporteren': 'Exportieren',
+    'Preset verwijderen': 'Preset löschen',
+    'Nog geen presets': 'Noch keine Presets',
+    'Naam van de preset:': 'Name des Presets:',
+    'Preset "{name}" verwijderen?': 'Preset „{name}“ löschen?',
+    'Toepassen mislukt: {error}': 'Anwenden fehlgeschlagen: {error}',
+    'Importeren mislukt: {error}': 'Import fehlgeschlagen: {error}',
+    'Verwijderen mislukt: {error}': 'Löschen fehlgeschlagen: {error}',
+    'Breedte Kaart': 'Kartenbreite',
+    'Hoogte Kaart': 'Kartenhöhe',
+    'Hoog': 'Hoch',
+    'Midden': 'Mitte',
+    'Laag': 'Tief',
+    'Kaart Doorzichtigheid': 'Kartendeckkraft',
+    'Indeling': 'Layout',
+    'Sleep onderdelen in de preview om ze te verplaatsen en trek aan de hoeken om ze te vergroten. Pijltjestoetsen schuiven het gekozen onderdeel verder, met Shift in grotere stappen.': 'Ziehe Elemente in der Vorschau, um sie zu verschieben, und ziehe an den Ecken, um sie zu vergrößern. Pfeiltasten verschieben das gewählte Element, mit Umschalt in größeren Schritten.',
+    'Onderdeel herstellen': 'Element zurücksetzen',
+    'Indeling herstellen': 'Layout zurücksetzen',
+    'Tonen': 'Anzeigen',
+    'Kaart': 'Karte',
+    'Jaartal': 'Jahr',
+    'Percentage': 'Prozent',
+    'Icoon': 'Symbol',
+    'Titel': 'Titel',
+    'Voortgangsbalk': 'Fortschrittsbalken',
+    'Inzameling': 'Spendenaktion',
+    'Topwandelaars': 'Top-Wanderer',
+    'Dag': 'Tag',
+    'Weer & terrein': 'Wetter & Gelände',
+    'Hoofdicoon': 'Hauptsymbol',
+    'Uit': 'Aus',
+    'Grootte Icoon': 'Symbolgröße',
+    'Accentkleur': 'Akzentfarbe',
+    'Kaart Mode': 'Kartenmodus',
+    'Licht': 'Hell',
+    'Donker': 'Dunkel',
+    'Selecteer een geldig afbeeldingsbestand.': 'Wähle eine gültige Bilddatei.',
+    'Achtergrondafbeelding is te groot. Maximale grootte is 10MB.': 'Hintergrundbild ist zu groß. Maximale Größe ist 10MB.',
+    'Kan afbeelding niet uploaden: {error}': 'Bild kann nicht hochgeladen werden: {error}',
+    'Kan afbeelding niet laden. Probeer een ander bestand.': 'Bild kann nicht geladen werden. Versuche eine andere Datei.',
+    'Fout bij het lezen van het bestand.': 'Fehler beim Lesen der Datei.',
+    'Logo is te groot. Maximale grootte is 10MB.': 'Logo ist zu groß. Maximale Größe ist 10MB.',
+    'Kan logo niet uploaden: {error}': 'Logo kann nicht hochgeladen werden: {error}',
+
+    'MQTT actief': 'MQTT aktiv',
+    'Home Assistant vindt de sensoren van deze badge automatisch. Voeg kilometers toe door een getal te publiceren op': 'Home Assistant findet die Sensoren dieses Badges automatisch. Füge Strecke hinzu, indem du eine Zahl veröffentlichst auf',
+    'Home Assistant Integratie': 'Home Assistant-Integration',
+    'Test een fundraiser URL en krijg de API endpoint voor Home Assistant REST sensor.': 'Teste eine Spendenseiten-URL und erhalte den API-Endpunkt für einen Home Assistant REST-Sensor.',
+    'Fundraiser URL': 'Spendenseiten-URL',
+    'Geavanceerd': 'Erweitert',
+    'Automatisch herkennen': 'Automatisch erkennen',
+    'Voor andere sites: een CSS selector en/of regex (eerste groep) per bedrag.': 'Für andere Seiten: ein CSS-Selektor und/oder Regex (erste Gruppe) pro Betrag.',
+    'Opgehaald selector': 'Selektor gesammelt',
+    'Doel selector': 'Selektor Ziel',
+    'Opgehaald regex': 'Regex gesammelt',
+    'Doel regex': 'Regex Ziel',
+    'Test URL': 'URL testen',
+    'Gevonden Data': 'Gefundene Daten',
+    'Opgehaald': 'Gesammelt',
+    'Doel': 'Ziel',
+    'Toon op de badge': 'Auf dem Badge zeigen',
+    'API Endpoint voor Home Assistant': 'API-Endpunkt für Home Assistant',
+    'Kopieer': 'Kopieren',
+    'Home Assistant YAML Voorbeeld': 'Home Assistant YAML-Beispiel',
+    'Kopieer YAML': 'YAML kopieren',
+    'Ruwe JSON Response': 'Rohe JSON-Antwort',
+    'Fout bij ophalen': 'Fehler beim Abrufen',
+    'Voer een URL in om te testen.': 'Gib eine URL zum Testen ein.',
+    'Laden...': 'Laden...',
+    'Onbekende fout': 'Unbekannter Fehler',
+    '{adapter} · {percent}% zeker': '{adapter} · {percent}% sicher',
+    '✓ Gekopieerd!': '✓ Kopiert!',
+
+    'Kilometers per': 'Strecke pro',
+    'Week': 'Woche',
+    'Maand': 'Monat',
+    'Totaal tegenover je doel': 'Gesamt im Vergleich zu deinem Ziel',
+    'De stippellijn is een gelijkmatig tempo naar je doel op 31 december.': 'Die gestrichelte Linie ist ein gleichmäßiges Tempo zu deinem Ziel am 31. Dezember.',
+    'Stappen en kilometers': 'Schritte und Strecke',
+    'Dezelfde cijfers staan als JSON op': 'Dieselben Zahlen gibt es als JSON unter',
+    ', bijvoorbeeld voor Home Assistant.': ', zum Beispiel für Home Assistant.',
+    'Nog geen wandelingen.': 'Noch keine Wanderungen.',
+    'Totaal': 'Gesamt',
+    '{walks} wandelingen op {days} dagen': '{walks} Wanderungen an {days} Tagen',
+    'Schema': 'Zeitplan',
+    'Doel gehaald': 'Ziel erreicht',
+    'Op schema': 'Im Plan',
+    'Achter': 'Im Rückstand',
+    '{distance} voor': '{distance} voraus',
+    '{distance} achter': '{distance} zurück',
+    'Langste reeks': 'Längste Serie',
+    'Huidige reeks': 'Aktuelle Serie',
+    '{count} dag': '{count} Tag',
+    '{count} dagen': '{count} Tage',
+    'Beste dag': 'Bester Tag',
+    'Stappen per {unit}': 'Schritte pro {unit}',
+    '{steps} stappen in totaal': '{steps} Schritte insgesamt',
+    '{with} met stappen, {without} zonder.': '{with} mit Schritten, {without} ohne.',
+    '{steps} stappen/{unit}': '{steps} Schritte/{unit}',
+    'geen stappen': 'keine Schritte',
+    'Doel gehaald! 🎉': 'Ziel erreicht! 🎉',
+    'nog onbekend': 'noch unbekannt',
+    'Op schema: {difference} voor. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'Im Plan: {difference} voraus. Nötig {required}/Tag, dein Durchschnitt {current}/Tag (ab jetzt {remaining}/Tag). Voraussichtlich fertig: {finish}.',
+    'Achter: {difference} achter. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'Im Rückstand: {difference} zurück. Nötig {required}/Tag, dein Durchschnitt {current}/Tag (ab jetzt {remaining}/Tag). Voraussichtlich fertig: {finish}.',
+    'Dit jaar': 'Dieses Jahr',
+    'Deze maand': 'Diesen Monat',
+    'Deze week': 'Diese Woche',
+    'Nog geen teams. Een team wandelt samen naar één doel, iedereen met een eigen tracker.': 'Noch keine Teams. Ein Team wandert gemeinsam auf ein Ziel zu, jeder mit einem eigenen Tracker.',
+    '+ Nieuw team': '+ Neues Team',
+    'Tracker uit team halen': 'Tracker aus dem Team entfernen',
+    'Tracker aan team toevoegen': 'Tracker zum Team hinzufügen',
+    'Naam van het team:': 'Name des Teams:',
+    'Gezamenlijk doel in {unit}:': 'Gemeinsames Ziel in {unit}:',
+    'Team aanmaken mislukt: {error}': 'Team erstellen fehlgeschlagen: {error}',
+    'Team aanpassen mislukt: {error}': 'Team ändern fehlgeschlagen: {error}',
+
+    '+ Nieuwe tracker': '+ Neuer Tracker',
+    'Naam van de nieuwe tracker (bijv. de naam van de wandelaar):': 'Name des neuen Trackers (z. B. der Name der wandernden Person):',
+    'Edit-token voor "{name}". Bewaar deze goed, hij wordt maar één keer getoond:': 'Bearbeitungstoken für „{name}“. Gut aufbewahren, es wird nur einmal angezeigt:',
+    'Tracker aanmaken mislukt: {error}': 'Tracker erstellen fehlgeschlagen: {error}',
+    'TEST OP JE EIGEN FOTO': 'AUF EIGENEM FOTO TESTEN',
+    'DOWNLOAD STORY PNG': 'STORY-PNG HERUNTERLADEN',
+    'DOWNLOAD STORY GIF': 'STORY-GIF HERUNTERLADEN',
+    'Geanimeerde story: de balk vult zich vanaf je stand voor de laatste wandeldag': 'Animierte Story: Der Balken füllt sich ab deinem Stand vor dem letzten Wandertag',
+    'Animatie maken mislukt: {error}': 'Animation erstellen fehlgeschlagen: {error}',
+    'Alles wissen / Opnieuw beginnen': 'Alles löschen / Neu anfangen',
+    'Live Preview': 'Live-Vorschau'
+  };
+
+  const fr = {
+    'Start over?': 'Recommencer ?',
+    'Dit wist alle kilometers, stappen en stijlen van de server. De stijl kun je daarna nog terugzetten met ongedaan maken (Ctrl+Z), de wandelingen niet.': 'Cela efface toutes les distances, tous les pas et styles du serveur. Le style peut encore être rétabli avec annuler (Ctrl+Z), les marches non.',
+    'Annuleren': 'Annuler',
+    'Wis alles': 'Tout effacer',
+    'Inloggen': 'Se connecter',
+    'Log in met het beheerderswachtwoord of de edit-token van deze tracker om de badge te bewerken.': 'Connectez-vous avec le mot de passe administrateur ou le jeton d\'édition de ce tracker pour modifier le badge.',
+    'Wachtwoord of edit-token': 'Mot de passe ou jeton d\'édition',
+    'Ingelogd': 'Connecté',
+    'Beheerder': 'Admin',
+    'Edit-token voor deze tracker': 'Jeton d\'édition pour ce tracker',
+    'Een nieuwe token maakt de vorige ongeldig.': 'Un nouveau jeton rend le précédent invalide.',
+    'Nieuwe token maken': 'Créer un nouveau jeton',
+    'Sluiten': 'Fermer',
+    'Uitloggen': 'Se déconnecter',
+    'Je bent ingelogd als beheerder en kunt alle trackers bewerken.': 'Vous êtes connecté comme administrateur et pouvez modifier tous les trackers.',
+    'Je kunt deze tracker bewerken.': 'Vous pouvez modifier ce tracker.',
+    'Inloggen mislukt: {error}': 'Échec de la connexion : {error}',
+    'Een nieuwe edit-token maken? De huidige token werkt dan niet meer.': 'Créer un nouveau jeton d\'édition ? Le jeton actuel ne fonctionnera plus.',
+    'Token maken mislukt: {error}': 'Échec de la création du jeton : {error}',
+    'Ongedaan maken (Ctrl+Z)': 'Annuler (Ctrl+Z)',
+    'Opnieuw (Ctrl+Shift+Z)': 'Rétablir (Ctrl+Maj+Z)',
+    'Personaliseer je wandeldoelen badge.': 'Personnalisez votre badge d\'objectif de marche.',
+    '👀 Alleen bekijken. Log in om deze badge te bewerken.': '👀 Lecture seule. Connectez-vous pour modifier ce badge.',
+    'Tekst & Stijl': 'Texte & Style',
+    'Vormgeving': 'Mise en forme',
+    'Statistieken': 'Statistiques',
+    'Wijziging niet opgeslagen: {error}': 'Modification non enregistrée : {error}',
+    'Iemand anders wijzigde tegelijk {fields}; die versie is behouden.': 'Quelqu\'un d\'autre a modifié {fields} en même temps ; sa version a été conservée.',
+    'Iemand anders wijzigde intussen {fields}; die versie vervangt je offline wijziging.': 'Quelqu\'un d\'autre a modifié {fields} entre-temps ; sa version remplace votre modification hors ligne.',
+    '🎉 Mijlpaal bereikt: {milestones}!': '🎉 Étape atteinte : {milestones} !',
+
+    'Jij': 'Vous',
+    'Naam aanpassen': 'Changer de nom',
+    'Je naam voor andere editors:': 'Votre nom pour les autres éditeurs :',
+    'Anoniem': 'Anonyme',
+    'Telefoon': 'Téléphone',
+    'Computer': 'Ordinateur',
+    'Is nu aan het bewerken': 'Modifie en ce moment',
+    'Kan bewerken': 'Peut modifier',
+    'Kijkt mee': 'Regarde',
+
+    'Kilometers': 'Kilomètres',
+    'Mijlen': 'Miles',
+    'Doel (km)': 'Objectif (km)',
+    'Doel ({unit})': 'Objectif ({unit})',
+    'Dag van uitdaging': 'Jour du défi',
+    'Aantal stappen': 'Nombre de pas',
+    'Kilometers, stappen en dag worden berekend uit je wandellog. Zonder "Auto" toont de badge de dag van je laatste wandeling.': 'La distance, les pas et le jour sont calculés à partir de votre journal. Sans « Auto », le badge affiche le jour de votre dernière marche.',
+    'Taal': 'Langue',
+    'Eenheid': 'Unité',
+    'Kilometers (km)': 'Kilomètres (km)',
+    'Mijlen (mi)': 'Miles (mi)',
+    'Schema op de badge': 'Rythme sur le badge',
+    'Donaties op de badge': 'Dons sur le badge',
+    'De server haalt het opgehaalde bedrag regelmatig op van je actiepagina.': 'Le serveur récupère régulièrement le montant collecté sur votre page de collecte.',
+    'Ophalen mislukt: {error}': 'Échec de la récupération : {error}',
+    '€{raised} van €{goal} · {adapter}, bijgewerkt {date}': '€{raised} sur €{goal} · {adapter}, mis à jour le {date}',
+    '(laatste poging mislukt: {error})': '(dernière tentative échouée : {error})',
+    'Voer een volledige URL in (https://...).': 'Saisissez une URL complète (https://...).',
+    'Mijlpalen': 'Étapes',
+    'Percentages van je doel of vaste kilometers, gescheiden door komma\'s. Bij elke mijlpaal krijg je een feestelijke badge.': 'Pourcentages de votre objectif ou distances fixes, séparés par des virgules. Chaque étape vous donne un badge de fête.',
+    'Gebruik bijvoorbeeld "25%, 50%, 1000": percentages tot 100% of kilometers.': 'Utilisez par exemple « 25%, 50%, 1000 » : des pourcentages jusqu\'à 100% ou des distances.',
+    'Normaal': 'Normal',
+    'Bekijk': 'Voir',
+    '{milestone} · nog {distance}': '{milestone} · encore {distance}',
+
+    'Wandeling toevoegen': 'Ajouter une marche',
+    'Wandeling wijzigen': 'Modifier la marche',
+    'Afstand (km)': 'Distance (km)',
+    'Afstand ({unit})': 'Distance ({unit})',
+    'Stappen': 'Pas',
+    'Duur (min)': 'Durée (min)',
+    'Weer': 'Météo',
+    'Terrein': 'Terrain',
+    'Notitie (optioneel)': 'Note (facultatif)',
+    'Toevoegen': 'Ajouter',
+    'Opslaan': 'Enregistrer',
+    'Opslaan mislukt: {error}': 'Échec de l\'enregistrement : {error}',
+    'Geen verbinding: de wandeling wordt verstuurd zodra er weer verbinding is.': 'Pas de connexion : la marche sera envoyée dès le retour de la connexion.',
+    'Wandeling van {date} niet opgeslagen: {error}': 'Marche du {date} non enregistrée : {error}',
+    '📴 Geen verbinding. Wijzigingen worden op dit apparaat bewaard en verstuurd zodra er weer verbinding is.': '📴 Pas de connexion. Les modifications sont conservées sur cet appareil et envoyées dès le retour de la connexion.',
+    '⏳ Wandelingen die nog verstuurd worden: {count}': '⏳ Marches en attente d\'envoi : {count}',
+    'Wandellog': 'Journal de marche',
+    'Nog geen wandelingen gelogd.': 'Aucune marche enregistrée.',
+    'Gegevens': 'Données',
+    'Wandellog als CSV': 'Journal de marche en CSV',
+    'Een back-up bevat alle trackers, presets, teams en afbeeldingen. Terugzetten vervangt alles; de huidige gegevens worden eerst op de server bewaard.': 'Une sauvegarde contient tous les trackers, presets, équipes et images. La restauration remplace tout ; les données actuelles sont d\'abord conservées sur le serveur.',
+    'Back-up downloaden': 'Télécharger la sauvegarde',
+    'Back-up terugzetten': 'Restaurer une sauvegarde',
+    'Back-up maken mislukt: {error}': 'Échec de la sauvegarde : {error}',
+    'Alle trackers, presets en teams vervangen door de back-up "{name}"?': 'Remplacer tous les trackers, presets et équipes par la sauvegarde « {name} » ?',
+    'Back-up teruggezet: {trackers} trackers. De vorige gegevens staan in data/{backup}.': 'Sauvegarde restaurée : {trackers} trackers. Les données précédentes se trouvent dans data/{backup}.',
+    'Terugzetten mislukt: {error}': 'Échec de la restauration : {error}',
+    '{steps} stappen': '{steps} pas',
+    'Wijzig': 'Modifier',
+    'Wis': 'Supprimer',
+    'Deze wandeling verwijderen?': 'Supprimer cette marche ?',
+    'Importeren': 'Importer',
+    'Voeg wandelingen toe uit GPX-, TCX- of FIT-bestanden van je horloge of app. Een activiteit die al is geïmporteerd wordt overgeslagen.': 'Ajoutez des marches depuis des fichiers GPX, TCX ou FIT de votre montre ou application. Une activité déjà importée est ignorée.',
+    'BESTANDEN KIEZEN': 'CHOISIR DES FICHIERS',
+    '{distance} op {date}': '{distance} le {date}',
+    'al geïmporteerd, overgeslagen': 'déjà importé, ignoré',
+    'geen activiteit met afstand gevonden': 'aucune activité avec une distance trouvée',
+
+    'Delen': 'Partager',
+    'Een openbare pagina met de live badge, zonder editor. Of zet de voortgangsbalk op je eigen site.': 'Une page publique avec le badge en direct, sans éditeur. Ou mettez la barre de progression sur votre propre site.',
+    'Automatisch loggen': 'Enregistrement automatique',
+    'Met een webhook-token kunnen snelkoppelingen en automations kilometers of stappen toevoegen, zonder in te loggen. Een nieuw token vervangt het oude.': 'Avec un jeton webhook, les raccourcis et automatisations peuvent ajouter une distance ou des pas sans connexion. Un nouveau jeton remplace l\'ancien.',
+    'Token maken': 'Créer un jeton',
+    'Kan geen token maken: {error}': 'Impossible de créer un jeton : {error}',
+    'Token (wordt maar één keer getoond):': 'Jeton (affiché une seule fois) :',
+    'Automatisch posten': 'Publication automatique',
+    'De server maakt op vaste tijden een badge, bewaart die in het archief en stuurt hem naar een webhook, een e-mailadres of een map.': 'Le serveur crée un badge à heures fixes, le garde dans les archives et l\'envoie à un webhook, une adresse e-mail ou un dossier.',
+    'Cron: minuut uur dag maand weekdag': 'Cron : minute heure jour mois jour-de-semaine',
+    'Vierkant (1080×1080)': 'Carré (1080×1080)',
+    'Webhook-URL (multipart POST)': 'URL du webhook (POST multipart)',
+    'E-mailadres': 'Adresse e-mail',
+    'E-mail (SMTP_URL niet ingesteld)': 'E-mail (SMTP_URL non défini)',
+    'Map, bijv. instagram/wachtrij': 'Dossier, p. ex. instagram/file-attente',
+    'Nu uitvoeren': 'Exécuter maintenant',
+    'Volgende badge: {date}': 'Prochain badge : {date}',
+    'Automatisch posten staat uit.': 'La publication automatique est désactivée.',
+    'verstuurd': 'envoyé',
+    'mislukt (poging {attempt}): {error}': 'échec (tentative {attempt}) : {error}',
+    'Planning opgeslagen': 'Planification enregistrée',
+    'Badge gearchiveerd als {file}': 'Badge archivé sous {file}',
+    'Uitvoeren mislukt: {error}': 'Échec de l\'exécution : {error}',
+
+    'Grote koptekst (boven)': 'Grand titre (en haut)',
+    'Modern (Sans)': 'Moderne (Sans)',
+    'Klassiek (Serif)': 'Classique (Serif)',
+    'Tracker (Mono)': 'Tracker (Mono)',
+    'Zacht (Rounded)': 'Doux (Rounded)',
+    'Handschrift': 'Manuscrit',
+    'Grootte Koptekst': 'Taille du titre',
+    'Verticale Positie': 'Position verticale',
+    'Titel op kaart': 'Titre sur la carte',
+    'Toon': 'Afficher',
+    'Vinkje': 'Coche',
+    'Grootte Titel': 'Taille du titre de carte',
+    'Kilometers Tekst Styling': 'Style du texte de distance',
+    'Grootte Kilometers Tekst': 'Taille du texte de distance',
+    'Doel Tekst Styling': 'Style du texte d\'objectif',
+    'Grootte Doel Tekst': 'Taille du texte d\'objectif',
+    'Instagram @Handle': 'Instagram @Handle',
+    '@jouwnaam': '@votrenom',
+    'Logo & Doelen': 'Logo & Objectifs',
+    'EIGEN LOGO': 'LOGO PERSONNEL',
+    'Bewaar een vormgeving en zet hem met één klik terug. Kilometers, doel en teksten blijven ongewijzigd.': 'Enregistrez une mise en forme et rétablissez-la en un clic. La distance, l\'objectif et les textes restent inchangés.',
+    'Toepassen': 'Appliquer',
+    'Huidige stijl opslaan': 'Enregistrer le style actuel',
+    'Exporteren': 'Exporter',
+    'Preset verwijderen': 'Supprimer le preset',
+    'Nog geen presets': 'Aucun preset',
+    'Naam van de preset:': 'Nom du preset :',
+    'Preset "{name}" verwijderen?': 'Supprimer le preset « {name} » ?',
+    'Toepassen mislukt: {error}': 'Échec de l\'application : {error}',
+    'Importeren mislukt: {error}': 'Échec de l\'import : {error}',
+    'Verwijderen mislukt: {error}': 'Échec de la suppression : {error}',
+    'Breedte Kaart': 'Largeur de la carte',
+    'Hoogte Kaart': 'Hauteur de la carte',
+    'Hoog': 'Haut',
+    'Midden': 'Milieu',
+    'Laag': 'Bas',
+    'Kaart Doorzichtigheid': 'Opacité de la carte',
+    'Indeling': 'Mise en page',
+    'Sleep onderdelen in de preview om ze te verplaatsen en trek aan de hoeken om ze te vergroten. Pijltjestoetsen schuiven het gekozen onderdeel verder, met Shift in grotere stappen.': 'Faites glisser les éléments dans l\'aperçu pour les déplacer et tirez sur les coins pour les agrandir. Les flèches déplacent l\'élément choisi, avec Maj par plus grands pas.',
+    'Onderdeel herstellen': 'Réinitialiser l\'élément',
+    'Indeling herstellen': 'Réinitialiser la mise en page',
+    'Tonen': 'Afficher',
+    'Kaart': 'Carte',
+    'Jaartal': 'Année',
+    'Percentage': 'Pourcentage',
+    'Icoon': 'Icône',
+    'Titel': 'Titre',
+    'Voortgangsbalk': 'Barre de progression',
+    'Inzameling': 'Collecte',
+    'Topwandelaars': 'Meilleurs marcheurs',
+    'Dag': 'Jour',
+    'Weer & terrein': 'Météo & terrain',
+    'Hoofdicoon': 'Icône principale',
+    'Uit': 'Aucune',
+    'Grootte Icoon': 'Taille de l\'icône',
+    'Accentkleur': 'Couleur d\'accent',
+    'Kaart Mode': 'Mode de la carte',
+    'Licht': 'Clair',
+    'Donker': 'Sombre',
+    'Selecteer een geldig afbeeldingsbestand.': 'Sélectionnez un fichier image valide.',
+    'Achtergrondafbeelding is te groot. Maximale grootte is 10MB.': 'L\'image de fond est trop grande. La taille maximale est de 10 Mo.',
+    'Kan afbeelding niet uploaden: {error}': 'Impossible d\'envoyer l\'image : {error}',
+    'Kan afbeelding niet laden. Probeer een ander bestand.': 'Impossible de charger l\'image. Essayez un autre fichier.',
+    'Fout bij het lezen van het bestand.': 'Erreur lors de la lecture du fichier.',
+    'Logo is te groot. Maximale grootte is 10MB.': 'Le logo est trop grand. La taille maximale est de 10 Mo.',
+    'Kan logo niet uploaden: {error}': 'Impossible d\'envoyer le logo : {error}',
+
+    'MQTT actief': 'MQTT actif',
+    'Home Assistant vindt de sensoren van deze badge automatisch. Voeg kilometers toe door een getal te publiceren op': 'Home Assistant trouve automatiquement les capteurs de ce badge. Ajoutez une distance en publiant un nombre sur',
+    'Home Assistant Integratie': 'Intégration Home Assistant',
+    'Test een fundraiser URL en krijg de API endpoint voor Home Assistant REST sensor.': 'Testez l\'URL d\'une collecte et obtenez le point d\'accès API pour un capteur REST Home Assistant.',
+    'Fundraiser URL': 'URL de la collecte',
+    'Geavanceerd': 'Avancé',
+    'Automatisch herkennen': 'Détection automatique',
+    'Voor andere sites: een CSS selector en/of regex (eerste groep) per bedrag.': 'Pour d\'autres sites : un sélecteur CSS et/ou une regex (premier groupe) par montant.',
+    'Opgehaald selector': 'Sélecteur collecté',
+    'Doel selector': 'Sélecteur objectif',
+    'Opgehaald regex': 'Regex collecté',
+    'Doel regex': 'Regex objectif',
+    'Test URL': 'Tester l\'URL',
+    'Gevonden Data': 'Données trouvées',
+    'Opgehaald': 'Collecté',
+    'Doel': 'Objectif',
+    'Toon op de badge': 'Afficher sur le badge',
+    'API Endpoint voor Home Assistant': 'Point d\'accès API pour Home Assistant',
+    'Kopieer': 'Copier',
+    'Home Assistant YAML Voorbeeld': 'Exemple YAML pour Home Assistant',
+    'Kopieer YAML': 'Copier le YAML',
+    'Ruwe JSON Response': 'Réponse JSON brute',
+    'Fout bij ophalen': 'Erreur de récupération',
+    'Voer een URL in om te testen.': 'Saisissez une URL à tester.',
+    'Laden...': 'Chargement...',
+    'Onbekende fout': 'Erreur inconnue',
+    '{adapter} · {percent}% zeker': '{adapter} · {percent}% sûr',
+    '✓ Gekopieerd!': '✓ Copié !',
+
+    'Kilometers per': 'Distance par',
+    'Week': 'Semaine',
+    'Maand': 'Mois',
+    'Totaal tegenover je doel': 'Total par rapport à votre objectif',
+    'De stippellijn is een gelijkmatig tempo naar je doel op 31 december.': 'La ligne pointillée est un rythme régulier vers votre objectif au 31 décembre.',
+    'Stappen en kilometers': 'Pas et distance',
+    'Dezelfde cijfers staan als JSON op': 'Les mêmes chiffres sont disponibles en JSON sur',
+    ', bijvoorbeeld voor Home Assistant.': ', par exemple pour Home Assistant.',
+    'Nog geen wandelingen.': 'Aucune marche.',
+    'Totaal': 'Total',
+    '{walks} wandelingen op {days} dagen': '{walks} marches sur {days} jours',
+    'Schema': 'Rythme',
+    'Doel gehaald': 'Objectif atteint',
+    'Op schema': 'Dans les temps',
+    'Achter': 'En retard',
+    '{distance} voor': '{distance} d\'avance',
+    '{distance} achter': '{distance} de retard',
+    'Langste reeks': 'Plus longue série',
+    'Huidige reeks': 'Série actuelle',
+    '{count} dag': '{count} jour',
+    '{count} dagen': '{count} jours',
+    'Beste dag': 'Meilleur jour',
+    'Stappen per {unit}': 'Pas par {unit}',
+    '{steps} stappen in totaal': '{steps} pas au total',
+    '{with} met stappen, {without} zonder.': '{with} avec des pas, {without} sans.',
+    '{steps} stappen/{unit}': '{steps} pas/{unit}',
+    'geen stappen': 'pas de pas',
+    'Doel gehaald! 🎉': 'Objectif atteint ! 🎉',
+    'nog onbekend': 'encore inconnue',
+    'Op schema: {difference} voor. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'Dans les temps : {difference} d\'avance. Nécessaire {required}/jour, votre moyenne {current}/jour (encore {remaining}/jour). Fin prévue : {finish}.',
+    'Achter: {difference} achter. Nodig {required}/dag, jouw gemiddelde {current}/dag (nog {remaining}/dag). Verwacht klaar: {finish}.': 'En retard : {difference} de retard. Nécessaire {required}/jour, votre moyenne {current}/jour (encore {remaining}/jour). Fin prévue : {finish}.',
+    'Dit jaar': 'Cette année',
+    'Deze maand': 'Ce mois-ci',
+    'Deze week': 'Cette semaine',
+    'Nog geen teams. Een team wandelt samen naar één doel, iedereen met een eigen tracker.': 'Aucune équipe. Une équipe marche ensemble vers un objectif, chacun avec son propre tracker.',
+    '+ Nieuw team': '+ Nouvelle équipe',
+    'Tracker uit team halen': 'Retirer le tracker de l\'équipe',
+    'Tracker aan team toevoegen': 'Ajouter le tracker à l\'équipe',
+    'Naam van het team:': 'Nom de l\'équipe :',
+    'Gezamenlijk doel in {unit}:': 'Objectif commun en {unit} :',
+    'Team aanmaken mislukt: {error}': 'Échec de la création de l\'équipe : {error}',
+    'Team aanpassen mislukt: {error}': 'Échec de la modification de l\'équipe : {error}',
+
+    '+ Nieuwe tracker': '+ Nouveau tracker',
+    'Naam van de nieuwe tracker (bijv. de naam van de wandelaar):': 'Nom du nouveau tracker (p. ex. le nom de la personne qui marche) :',
+    'Edit-token voor "{name}". Bewaar deze goed, hij wordt maar één keer getoond:': 'Jeton d\'édition pour « {name} ». Conservez-le bien, il n\'est affiché qu\'une fois :',
+    'Tracker aanmaken mislukt: {error}': 'Échec de la création du tracker : {error}',
+    'TEST OP JE EIGEN FOTO': 'ESSAYER SUR VOTRE PHOTO',
+    'DOWNLOAD STORY PNG': 'TÉLÉCHARGER LA STORY PNG',
+    'DOWNLOAD STORY GIF': 'TÉLÉCHARGER LA STORY GIF',
+    'Geanimeerde story: de balk vult zich vanaf je stand voor de laatste wandeldag': 'Story animée : la barre se remplit depuis votre total avant le dernier jour de marche',
+    'Animatie maken mislukt: {error}': "Échec de la création de l'animation : {error}",
+    'Alles wissen / Opnieuw beginnen': 'Tout effacer / Recommencer',
+    'Live Preview': 'Aperçu en direct'
+  };
+
+  return { en, de, fr };
+});
@@ -0,0 +1,113 @@
+// Locales and distance units, shared by the badge renderer, the editor and the server.
+// Translations are keyed by the Dutch text (like gettext), so Dutch needs no table and
+// a missing translation falls back to Dutch.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LOCALES = {
+    nl: { tag: 'nl-NL', name: 'Nederlands' },
+    en: { tag: 'en-GB', name: 'English' },
+    de: { tag: 'de-DE', name: 'Deutsch' },
+    fr: { tag: 'fr-FR', name: 'Français' }
+  };
+  const DEFAULT_LOCALE = 'nl';
+
+  // Distances are stored in km, a unit only changes what is shown
+  const UNITS = {
+    km: { km: 1 },
+    mi: { km: 1.609344 }
+  };
+
+  const BADGE_TEXTS = {
+    en: {
+      'KLAAR': 'DONE',
+      'DOEL': 'GOAL',
+      'DAG': 'DAY',
+      'STAPPEN': 'STEPS',
+      'OPGEHAALD': 'RAISED',
+      'MIJLPAAL': 'MILESTONE',
+      '{label} BEREIKT': '{label} REACHED',
+      'OP SCHEMA': 'ON TRACK',
+      'ACHTER': 'BEHIND',
+      'TOPWANDELAARS · {count} DEELNEMERS': 'TOP WALKERS · {count} MEMBERS'
+    },
+    de: {
+      'KLAAR': 'GESCHAFFT',
+      'DOEL': 'ZIEL',
+      'DAG': 'TAG',
+      'STAPPEN': 'SCHRITTE',
+      'OPGEHAALD': 'GESAMMELT',
+      'MIJLPAAL': 'MEILENSTEIN',
+      '{label} BEREIKT': '{label} ERREICHT',
+      'OP SCHEMA': 'IM PLAN',
+      'ACHTER': 'ZURÜCK',
+      'TOPWANDELAARS · {count} DEELNEMERS': 'TOP-WANDERER · {count} TEILNEHMER'
+    },
+    fr: {
+      'KLAAR': 'FAIT',
+      'DOEL': 'OBJECTIF',
+      'DAG': 'JOUR',
+      'STAPPEN': 'PAS',
+      'OPGEHAALD': 'COLLECTÉS',
+      'MIJLPAAL': 'ÉTAPE',
+      '{label} BEREIKT': '{label} ATTEINTE',
+      'OP SCHEMA': 'DANS LES TEMPS',
+      'ACHTER': 'EN RETARD',
+      'TOPWANDELAARS · {count} DEELNEMERS': 'MEILLEURS MARCHEURS · {count} PARTICIPANTS'
+    }
+  };
+
+  function isLocale(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+  }
+
+  function localeTag(locale) {
+    return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).tag;
+  }
+
+  // Looks text up in tables[locale] and fills in {name} placeholders
+  function translate(tables, locale, text, vars = {}) {
+    const table = tables[locale];
+    const translated = (table && table[text]) || text;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  function badgeText(locale, text, vars) {
+    return translate(BADGE_TEXTS, locale, text, vars);
+  }
+
+  // Thousands separators and decimal mark of the locale; the canvas fonts lack the
+  // narrow no-break space French uses, a normal no-break space looks the same
+  function formatNumber(value, locale = DEFAULT_LOCALE, maximumFractionDigits = 2) {
+    return new Intl.NumberFormat(localeTag(locale), { maximumFractionDigits })
+      .format(Number(value) || 0)
+      .replace(/\u202f/g, '\u00a0');
+  }
+
+  function toUnit(km, unit) {
+    return (Number(km) || 0) / (UNITS[unit] || UNITS.km).km;
+  }
+
+  function fromUnit(value, unit) {
+    return (Number(value) || 0) * (UNITS[unit] || UNITS.km).km;
+  }
+
+  // "1.234,5 km" or "767.1 mi"
+  function formatDistance(km, locale, unit = 'km', maximumFractionDigits = 2) {
+    return `${formatNumber(toUnit(km, unit), locale, maximumFractionDigits)} ${UNITS[unit] ? unit : 'km'}`;
+  }
+
+  // Milestone for the badge ribbon: "50%" or "1.000 KM"
+  function milestoneLabel(milestone, locale, unit) {
+    if (milestone.type === 'km') {
+      return formatDistance(milestone.value, locale, unit, 0).toUpperCase();
+    }
+    return milestone.label || `${milestone.value}%`;
+  }
+
+  return { LOCALES, DEFAULT_LOCALE, UNITS, isLocale, localeTag, translate, badgeText, formatNumber, toUnit, fromUnit, formatDistance, milestoneLabel };
+});
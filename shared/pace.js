@@ -0,0 +1,47 @@
+// Pace of a yearly challenge, shared by the editor and the server so the
+// badge, the editor and /api/pace agree on "ahead" or "behind".
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Pace = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const round = (n) => Math.round(n * 100) / 100;
+
+  function daysInYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+  }
+
+  // day is the day of the year (1-366) to measure on, the challenge runs from January 1st.
+  // Status is 'done' when the target is reached, else 'ahead' or 'behind' the even pace
+  // that finishes on December 31st.
+  function computePace({ km, target, day, year }) {
+    const totalDays = daysInYear(year);
+    const elapsed = Math.min(Math.max(day, 1), totalDays);
+    const expectedKm = target * elapsed / totalDays;
+    const currentDaily = km / elapsed;
+
+    let projectedFinish = null;
+    if (km < target && currentDaily > 0) {
+      // Day of the year the target is reached at the current average, may be next year
+      const finishDay = Math.ceil(target / currentDaily);
+      projectedFinish = new Date(Date.UTC(year, 0, finishDay)).toISOString().slice(0, 10);
+    }
+
+    return {
+      day: elapsed,
+      daysInYear: totalDays,
+      expectedKm: round(expectedKm),
+      difference: round(km - expectedKm),
+      requiredDaily: round(target / totalDays),
+      currentDaily: round(currentDaily),
+      // What is left, spread over the remaining days of the year
+      remainingDaily: km >= target ? 0 : round((target - km) / Math.max(totalDays - elapsed, 1)),
+      projectedFinish,
+      status: km >= target ? 'done' : km >= expectedKm ? 'ahead' : 'behind'
+    };
+  }
+
+  return { computePace, daysInYear };
+});
@@ -0,0 +1,44 @@
+// Texts of the public share, embed and team pages (lib/share-pages.js) in English, German
+// and French, keyed by the Dutch text. Filled in by I18n.translate; missing texts stay Dutch.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PageMessages = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const en = {
+    '{km} van {target} gewandeld ({percentage}%).': '{km} of {target} walked ({percentage}%).',
+    '{km} van {target} samen gewandeld ({percentage}%) door {count} wandelaars.': '{km} of {target} walked together ({percentage}%) by {count} walkers.',
+    'Teamuitdaging': 'Team challenge',
+    'Totaal': 'Total',
+    'Jaar': 'Year',
+    'Maand': 'Month',
+    'Week': 'Week',
+    'Nog geen wandelaars in dit team.': 'No walkers in this team yet.'
+  };
+
+  const de = {
+    '{km} van {target} gewandeld ({percentage}%).': '{km} von {target} gewandert ({percentage}%).',
+    '{km} van {target} samen gewandeld ({percentage}%) door {count} wandelaars.': '{km} von {target} gemeinsam gewandert ({percentage}%), {count} Wanderer.',
+    'Teamuitdaging': 'Team-Challenge',
+    'Totaal': 'Gesamt',
+    'Jaar': 'Jahr',
+    'Maand': 'Monat',
+    'Week': 'Woche',
+    'Nog geen wandelaars in dit team.': 'Noch keine Wanderer in diesem Team.'
+  };
+
+  const fr = {
+    '{km} van {target} gewandeld ({percentage}%).': '{km} sur {target} parcourus ({percentage} %).',
+    '{km} van {target} samen gewandeld ({percentage}%) door {count} wandelaars.': '{km} sur {target} parcourus ensemble ({percentage} %) par {count} marcheurs.',
+    'Teamuitdaging': 'Défi d’équipe',
+    'Totaal': 'Total',
+    'Jaar': 'Année',
+    'Maand': 'Mois',
+    'Week': 'Semaine',
+    'Nog geen wandelaars in dit team.': 'Pas encore de marcheurs dans cette équipe.'
+  };
+
+  return { en, de, fr };
+});
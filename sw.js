@@ -0,0 +1,89 @@
+// Service worker of the editor. The app shell comes from the cache when the network is
+// slow or gone, so the editor opens offline; edits made offline are queued by the editor
+// itself (IndexedDB) and sent when its WebSocket reconnects. The API is never cached,
+// except uploaded images, which never change under their id.
+const CACHE = 'wandelbadge-v1';
+const SHELL = [
+  '/',
+  '/assets/app.css',
+  '/assets/fonts/Inter-Regular.ttf',
+  '/assets/fonts/Inter-Bold.ttf',
+  '/assets/fonts/Inter-Black.ttf',
+  '/assets/icons/icon-192.png',
+  '/shared/i18n.js',
+  '/shared/editor-messages.js',
+  '/shared/badge-layout.js',
+  '/shared/badge-renderer.js',
+  '/shared/pace.js',
+  '/fight_cancer_logo.png'
+];
+// How long a page load waits for the network before the cached editor is used
+const NETWORK_TIMEOUT_MS = 4000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Every tracker's editor is the same page, it is cached once under /
+async function editorPage(request) {
+  const cache = await caches.open(CACHE);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put('/', response.clone());
+    return response;
+  });
+  const timeout = new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), NETWORK_TIMEOUT_MS));
+  try {
+    return await Promise.race([network, timeout]);
+  } catch (err) {
+    const cached = await cache.match('/');
+    return cached || network;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+// The cached copy right away, a fresh one for next time
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  network.catch(() => {});
+  return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    if (url.pathname === '/' || url.pathname === '/index.html' || url.pathname.startsWith('/t/')) {
+      event.respondWith(editorPage(request));
+    }
+    return;
+  }
+  if (url.pathname.startsWith('/api/assets/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/shared/') || url.pathname === '/fight_cancer_logo.png') {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
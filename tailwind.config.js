@@ -0,0 +1,8 @@
+// Tailwind scans the editor for class names, including the ones in its scripts
+module.exports = {
+  content: ['./index.html'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
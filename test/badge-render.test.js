@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createCanvas, loadImage, registerFont } = require('canvas');
+const BadgeRenderer = require('../shared/badge-renderer');
+const { BASE_CONFIG, CASES } = require('./fixtures/badge-configs');
+
+// Visual regression tests: the reference badges must match the committed golden images.
+// Anti-aliasing differs a little between cairo builds, so a pixel only counts as changed
+// when a channel is off by more than CHANNEL_TOLERANCE, and a few changed pixels pass.
+// Run with UPDATE_GOLDEN=1 to write new golden images after an intended change.
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+const LOGO_FILE = path.join(__dirname, '..', 'fight_cancer_logo.png');
+const CHANNEL_TOLERANCE = 48;
+const MAX_CHANGED_RATIO = 0.01;
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const FONTS = [
+  ['Inter-Regular.ttf', 'Inter', '400'],
+  ['Inter-Bold.ttf', 'Inter', '700'],
+  ['Inter-Black.ttf', 'Inter', '900'],
+  ['NotoSerif-Regular.ttf', 'Noto Serif', '400'],
+  ['NotoSerif-Bold.ttf', 'Noto Serif', '700'],
+  ['SpaceMono-Regular.ttf', 'Space Mono', '400'],
+  ['SpaceMono-Bold.ttf', 'Space Mono', '700'],
+  ['Quicksand-Regular.ttf', 'Quicksand', '400'],
+  ['Quicksand-Bold.ttf', 'Quicksand', '700'],
+  ['Caveat-Regular.ttf', 'Caveat', '400'],
+  ['Caveat-Bold.ttf', 'Caveat', '700']
+];
+FONTS.forEach(([file, family, weight]) => registerFont(path.join(FONT_DIR, file), { family, weight }));
+
+async function render({ width, height, config, options = {} }) {
+  const badgeConfig = { ...BASE_CONFIG, ...config };
+  const images = { background: null, logo: badgeConfig.showLogo ? await loadImage(LOGO_FILE) : null };
+  const canvas = createCanvas(width, height);
+  BadgeRenderer.drawBadge(canvas.getContext('2d'), badgeConfig, { images, width, height, ...options });
+  return canvas.toBuffer('image/png');
+}
+
+function rawPixels(png) {
+  return sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+// Share of pixels where any channel differs by more than CHANNEL_TOLERANCE
+function changedRatio(actual, expected) {
+  let changed = 0;
+  for (let i = 0; i < actual.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual[i + c] - expected[i + c]) > CHANNEL_TOLERANCE) {
+        changed++;
+        break;
+      }
+    }
+  }
+  return changed / (actual.length / 4);
+}
+
+CASES.forEach((testCase) => {
+  test(`badge ${testCase.name} matches its golden image`, async () => {
+    const goldenFile = path.join(GOLDEN_DIR, `${testCase.name}.png`);
+    const png = await render(testCase);
+    if (UPDATE) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenFile, png);
+      return;
+    }
+    assert.ok(fs.existsSync(goldenFile), `No golden image for ${testCase.name}, run the tests with UPDATE_GOLDEN=1`);
+
+    const [actual, expected] = await Promise.all([rawPixels(png), rawPixels(fs.readFileSync(goldenFile))]);
+    assert.deepStrictEqual([actual.info.width, actual.info.height], [expected.info.width, expected.info.height]);
+    const ratio = changedRatio(actual.data, expected.data);
+    assert.ok(ratio <= MAX_CHANGED_RATIO, `${(ratio * 100).toFixed(2)}% of the pixels differ from ${path.relative(process.cwd(), goldenFile)}`);
+  });
+});
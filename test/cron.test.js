@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun } = require('../lib/cron');
+
+test('the next run is the first matching minute after the date', () => {
+  const next = nextRun(parseCron('30 20 * * *'), new Date(2026, 4, 12, 20, 30));
+  assert.deepStrictEqual(next, new Date(2026, 4, 13, 20, 30));
+});
+
+test('either day field may match when both are restricted', () => {
+  const next = nextRun(parseCron('0 9 1 * 1'), new Date(2026, 4, 12, 12, 0));
+  assert.deepStrictEqual(next, new Date(2026, 4, 18, 9, 0));
+});
+
+test('February 29th is found in the next leap year', () => {
+  const next = nextRun(parseCron('0 8 29 2 *'), new Date(2026, 2, 1));
+  assert.deepStrictEqual(next, new Date(2028, 1, 29, 8, 0));
+});
+
+test('days that no month in the expression has are refused', () => {
+  assert.throws(() => parseCron('0 8 30 2 *'), /never matches/);
+  assert.throws(() => parseCron('0 8 31 4,6,9,11 *'), /never matches/);
+  assert.doesNotThrow(() => parseCron('0 8 31 4,5 *'));
+  // With a weekday as well, every Friday in February matches too
+  assert.doesNotThrow(() => parseCron('0 8 30 2 5'));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { parseArchivePath, unpackArchive, progressCsv } = require('../lib/data-export');
+
+// Backup archives: which paths they may hold, and refusing anything else on import
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+const PNG_ID = `${crypto.createHash('sha256').update(PNG).digest('hex')}.png`;
+
+function archive(files, fields = {}) {
+  return { format: 'wandelbadge-backup', version: 1, createdAt: '2026-03-01T12:00:00.000Z', files, ...fields };
+}
+
+const gzip = (value) => zlib.gzipSync(JSON.stringify(value));
+
+test('archive paths are data files of the default tracker, named trackers or assets', () => {
+  assert.deepStrictEqual(parseArchivePath('walks.json'), { type: 'tracker', slug: null, file: 'walks.json' });
+  assert.deepStrictEqual(parseArchivePath('trackers/anna-b/config.json'), { type: 'tracker', slug: 'anna-b', file: 'config.json' });
+  assert.deepStrictEqual(parseArchivePath('teams.json'), { type: 'shared', file: 'teams.json' });
+  assert.deepStrictEqual(parseArchivePath(`assets/${PNG_ID}`), { type: 'asset', id: PNG_ID });
+});
+
+test('other paths are refused', () => {
+  [
+    '../config.json',
+    'trackers/../config.json',
+    'trackers/anna/teams.json',
+    'trackers/Anna/walks.json',
+    'secrets.json',
+    'walks.json.1',
+    'assets/logo.png',
+    `assets/../${PNG_ID}`
+  ].forEach(name => assert.strictEqual(parseArchivePath(name), null, name));
+});
+
+test('a gzipped archive unpacks into JSON files and images', () => {
+  const unpacked = unpackArchive(gzip(archive({
+    'walks.json': { json: [{ date: '2026-03-01', distance: 2.5 }] },
+    [`assets/${PNG_ID}`]: { base64: PNG.toString('base64') }
+  })));
+  assert.strictEqual(unpacked.createdAt, '2026-03-01T12:00:00.000Z');
+  assert.deepStrictEqual(unpacked.json, { 'walks.json': [{ date: '2026-03-01', distance: 2.5 }] });
+  assert.deepStrictEqual(unpacked.assets, { [PNG_ID]: PNG });
+  // Plain JSON works too
+  assert.deepStrictEqual(unpackArchive(Buffer.from(JSON.stringify(archive({})))).json, {});
+});
+
+test('input that is not an archive is refused', () => {
+  assert.throws(() => unpackArchive(Buffer.from('PK\x03\x04')), /Not a backup archive/);
+  assert.throws(() => unpackArchive(Buffer.from([0x1f, 0x8b, 0x00, 0x01])), /Not a backup archive/);
+  assert.throws(() => unpackArchive(gzip({ files: {} })), /Not a backup archive/);
+  assert.throws(() => unpackArchive(gzip(archive({}, { version: 2 }))), /Unsupported archive version 2/);
+  assert.throws(() => unpackArchive(gzip(archive(null))), /Archive contains no files/);
+});
+
+test('archives with unknown or malformed files are refused', () => {
+  assert.throws(() => unpackArchive(archive({ '../server.js': { json: {} } })), /Unexpected file in archive: \.\.\/server\.js/);
+  assert.throws(() => unpackArchive(archive({ 'config.json': { text: '{}' } })), /Invalid file config\.json/);
+  assert.throws(() => unpackArchive(archive({ [`assets/${PNG_ID}`]: { json: {} } })), /Invalid image/);
+  const otherId = `${'0'.repeat(64)}.png`;
+  assert.throws(() => unpackArchive(archive({ [`assets/${otherId}`]: { base64: PNG.toString('base64') } })), /does not match its ID/);
+});
+
+test('the progress CSV escapes cells that spreadsheets would run as formulas', () => {
+  const csv = progressCsv([
+    { date: '2026-03-02', distance: 2.5, steps: 3000, note: '=HYPERLINK("x")', createdAt: 'b' },
+    { date: '2026-03-01', distance: 1, steps: '', note: 'Bos, hei', createdAt: 'a' }
+  ], 100);
+  assert.deepStrictEqual(csv.slice(1).split('\r\n'), [
+    'date,distance_km,steps,duration_min,weather,terrain,note,total_km,percent_of_target',
+    '2026-03-01,1,,,,,"Bos, hei",1,1',
+    '2026-03-02,2.5,3000,,,,"\'=HYPERLINK(""x"")",3.5,3.5',
+    ''
+  ]);
+});
@@ -0,0 +1,94 @@
+const Pace = require('../../shared/pace');
+
+// Reference badges for the render tests. Each case is drawn by shared/badge-renderer.js
+// and compared with test/golden/<name>.png. Icons stay empty: emoji fonts differ per machine.
+
+const BASE_CONFIG = {
+  title: 'WandelChallenge',
+  showTitle: true,
+  titleFont: 'Inter',
+  titleSize: 52,
+  titleBold: true,
+  titleItalic: false,
+  titleCheck: false,
+  yearText: '2026',
+  yearFont: 'Inter',
+  yearBold: true,
+  yearItalic: false,
+  yearSize: 180,
+  showYear: true,
+  km: 812.4,
+  kmFont: 'Inter',
+  kmSize: 85,
+  kmBold: true,
+  kmItalic: false,
+  target: 2026,
+  day: '',
+  steps: '',
+  handle: '',
+  color: '#10b981',
+  theme: 'light',
+  icon: '',
+  iconSize: 95,
+  goalFont: 'Inter',
+  goalSize: 45,
+  goalBold: true,
+  goalItalic: false,
+  opacity: 0.90,
+  showLogo: true,
+  logoType: 'fightcancer',
+  wScale: 1.0,
+  hScale: 0.9,
+  yPos: 1300,
+  layout: {},
+  showDonation: false,
+  showPace: false,
+  locale: 'nl',
+  distanceUnit: 'km'
+};
+
+const CASES = [
+  {
+    name: 'story-default',
+    width: 540,
+    height: 960,
+    config: { day: 150, steps: '1.204.330', handle: '@wandelaar' }
+  },
+  {
+    name: 'story-dark-miles',
+    width: 540,
+    height: 960,
+    config: {
+      theme: 'dark', color: '#6366f1', locale: 'en', distanceUnit: 'mi', showLogo: false,
+      titleFont: 'Noto Serif', kmFont: 'Space Mono', titleCheck: true, weather: 'Sunny', terrain: 'Forest'
+    }
+  },
+  {
+    name: 'square-donation-pace',
+    width: 540,
+    height: 540,
+    config: { locale: 'de', showDonation: true, showPace: true, titleFont: 'Quicksand' },
+    options: {
+      donation: { raised: 1250, goal: 5000 },
+      pace: Pace.computePace({ km: 812.4, target: 2026, day: 180, year: 2026 })
+    }
+  },
+  {
+    name: 'banner-team',
+    width: 750,
+    height: 250,
+    config: { title: 'Team Noord', locale: 'fr', titleFont: 'Caveat', layout: { logo: { visible: false } } },
+    options: {
+      team: { members: 4, contributors: [{ name: 'Anna', km: 320 }, { name: 'Bram', km: 284.5 }, { name: 'Chris', km: 207.9 }] }
+    }
+  },
+  {
+    name: 'story-milestone-layout',
+    width: 540,
+    height: 960,
+    config: { km: 1013, layout: { year: { x: 0, y: -60, scale: 0.8 }, km: { x: -20, y: 0, scale: 1.1 } } },
+    options: { milestone: { type: 'percent', value: 50 } }
+  }
+];
+
+module.exports = { BASE_CONFIG, CASES };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonAtomic, readJsonFile } = require('../lib/json-files');
+
+// Atomic writes, hourly backups and recovery of damaged data files, in a temporary directory
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wandelbadge-json-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'config.json');
+}
+
+const read = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Backdates the newest backup, as if it was made more than an hour ago
+function ageBackup(file) {
+  const hoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  fs.utimesSync(`${file}.1`, hoursAgo, hoursAgo);
+}
+
+function quietly(fn) {
+  const { error } = console;
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+test('a write replaces the file and leaves no temporary file', async (t) => {
+  const file = tempFile(t);
+  await writeJsonAtomic(file, { km: 1 });
+  assert.deepStrictEqual(read(file), { km: 1 });
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['config.json']);
+});
+
+test('the old file is kept as a backup at most once an hour', async (t) => {
+  const file = tempFile(t);
+  await writeJsonAtomic(file, { km: 1 });
+  await writeJsonAtomic(file, { km: 2 });
+  await writeJsonAtomic(file, { km: 3 });
+  assert.deepStrictEqual(read(file), { km: 3 });
+  assert.deepStrictEqual(read(`${file}.1`), { km: 1 });
+  assert.ok(!fs.existsSync(`${file}.2`));
+});
+
+test('backups rotate and the oldest is dropped after five', async (t) => {
+  const file = tempFile(t);
+  for (let km = 1; km <= 7; km++) {
+    if (fs.existsSync(`${file}.1`)) ageBackup(file);
+    await writeJsonAtomic(file, { km });
+  }
+  assert.deepStrictEqual(read(file), { km: 7 });
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(i => read(`${file}.${i}`).km), [6, 5, 4, 3, 2]);
+  assert.ok(!fs.existsSync(`${file}.6`));
+});
+
+test('a missing file reads as the fallback', (t) => {
+  assert.deepStrictEqual(readJsonFile(tempFile(t), { empty: true }), { empty: true });
+});
+
+test('a damaged file is moved aside and restored from the newest readable backup', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{"km": 3');
+  fs.writeFileSync(`${file}.1`, 'also damaged');
+  fs.writeFileSync(`${file}.2`, '{"km": 2}');
+
+  assert.deepStrictEqual(quietly(() => readJsonFile(file, {})), { km: 2 });
+  assert.deepStrictEqual(read(file), { km: 2 });
+  const corrupt = fs.readdirSync(path.dirname(file)).filter(name => name.startsWith('config.json.corrupt-'));
+  assert.strictEqual(corrupt.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(path.dirname(file), corrupt[0]), 'utf8'), '{"km": 3');
+});
+
+test('without a readable backup a damaged file reads as the fallback', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '');
+  assert.deepStrictEqual(quietly(() => readJsonFile(file, { km: 0 })), { km: 0 });
+  assert.ok(!fs.existsSync(file));
+});
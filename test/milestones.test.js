@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MILESTONES, isValidMilestones, milestoneKm, findReached } = require('../lib/milestones');
+
+// Milestones crossed by the walk log
+
+const walk = (date, distance) => ({ date, distance });
+
+// The fields that do not depend on the clock
+function crossed(reached) {
+  return reached.map(({ id, label, km, date }) => ({ id, label, km, date }));
+}
+
+test('percentages are taken of the target', () => {
+  assert.strictEqual(milestoneKm({ type: 'percent', value: 25 }, 2026), 506.5);
+  assert.strictEqual(milestoneKm({ type: 'percent', value: 33 }, 1000), 330);
+  assert.strictEqual(milestoneKm({ type: 'km', value: 500 }, 2026), 500);
+});
+
+test('each milestone is dated by the walk that crossed it', () => {
+  const walks = [walk('2026-01-20', 30), walk('2026-01-05', 20), walk('2026-02-01', 60)];
+  const reached = findReached(DEFAULT_MILESTONES, 100, walks, []);
+  assert.deepStrictEqual(crossed(reached), [
+    { id: 'percent-25', label: '25%', km: 25, date: '2026-01-20' },
+    { id: 'percent-50', label: '50%', km: 50, date: '2026-01-20' },
+    { id: 'percent-75', label: '75%', km: 75, date: '2026-02-01' },
+    { id: 'percent-100', label: '100%', km: 100, date: '2026-02-01' }
+  ]);
+  assert.ok(reached.every(m => typeof m.reachedAt === 'string'));
+});
+
+test('a mark is crossed when the total reaches it exactly, despite float sums', () => {
+  const walks = [walk('2026-03-01', 0.1), walk('2026-03-02', 0.2)];
+  assert.deepStrictEqual(crossed(findReached([{ type: 'km', value: 0.3 }], 100, walks, [])), [
+    { id: 'km-0.3', label: '0.3 KM', km: 0.3, date: '2026-03-02' }
+  ]);
+});
+
+test('achieved and unreached milestones are left out', () => {
+  const walks = [walk('2026-05-01', 60)];
+  const reached = findReached(DEFAULT_MILESTONES, 100, walks, [{ id: 'percent-25' }]);
+  assert.deepStrictEqual(reached.map(m => m.id), ['percent-50']);
+  assert.deepStrictEqual(findReached(DEFAULT_MILESTONES, 100, walks, [{ id: 'percent-25' }, { id: 'percent-50' }]), []);
+});
+
+test('milestone lists are checked for type and range', () => {
+  assert.ok(isValidMilestones(DEFAULT_MILESTONES));
+  assert.ok(isValidMilestones([{ type: 'km', value: 1500 }]));
+  assert.ok(!isValidMilestones([{ type: 'percent', value: 120 }]));
+  assert.ok(!isValidMilestones([{ type: 'km', value: 0 }]));
+  assert.ok(!isValidMilestones([{ type: 'miles', value: 10 }]));
+  assert.ok(!isValidMilestones(Array.from({ length: 21 }, (_, i) => ({ type: 'km', value: i + 1 }))));
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createMqttBridge, parseCommand } = require('../lib/mqtt-bridge');
+
+// Home Assistant bridge against a stub client that records what it publishes
+
+function stubClient() {
+  const client = new EventEmitter();
+  client.connected = false;
+  client.published = [];
+  client.subscribed = [];
+  client.publish = (topic, payload, options) => client.published.push({ topic, payload, options });
+  client.subscribe = (topic) => client.subscribed.push(topic);
+  return client;
+}
+
+function createBridge(onAddWalk = () => {}) {
+  const client = stubClient();
+  const bridge = createMqttBridge({ url: 'mqtt://broker.test', onAddWalk, connect: () => client });
+  client.connected = true;
+  client.emit('connect');
+  return { client, bridge };
+}
+
+// Lets the promise chain around onAddWalk settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function quietly(fn) {
+  const { log, error } = console;
+  const errors = [];
+  console.log = () => {};
+  console.error = (...args) => errors.push(args.join(' '));
+  return Promise.resolve(fn()).then(() => errors).finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+test('parseCommand reads a bare distance with a dot or a comma', () => {
+  assert.deepStrictEqual(parseCommand(Buffer.from('2.5')), { distance: 2.5 });
+  assert.deepStrictEqual(parseCommand(Buffer.from(' 7,25\n')), { distance: 7.25 });
+  assert.deepStrictEqual(parseCommand(Buffer.from('12')), { distance: 12 });
+});
+
+test('parseCommand reads a JSON walk', () => {
+  const walk = { distance: 4.2, steps: 5600, date: '2026-03-01' };
+  assert.deepStrictEqual(parseCommand(Buffer.from(JSON.stringify(walk))), walk);
+});
+
+test('parseCommand refuses payloads that are not a walk', () => {
+  assert.throws(() => parseCommand(Buffer.from('twee')), SyntaxError);
+  assert.throws(() => parseCommand(Buffer.from('null')), /Expected a distance/);
+  assert.throws(() => parseCommand(Buffer.from('"2.5"')), /Expected a distance/);
+  assert.throws(() => parseCommand(Buffer.from('[2.5]')), /Expected a distance/);
+});
+
+test('parseCommand refuses distances out of range', () => {
+  assert.throws(() => parseCommand(Buffer.from('0')), /Distance must be/);
+  assert.throws(() => parseCommand(Buffer.from('1000.5')), /Distance must be/);
+  assert.throws(() => parseCommand(Buffer.from('{"distance":-3}')), /Distance must be/);
+  assert.throws(() => parseCommand(Buffer.from('{"distance":"5"}')), /Distance must be/);
+  assert.deepStrictEqual(parseCommand(Buffer.from('1000')), { distance: 1000 });
+});
+
+test('connecting announces the bridge and subscribes to the commands', async () => {
+  await quietly(() => {
+    const { client } = createBridge();
+    assert.deepStrictEqual(client.published, [{ topic: 'wandelbadge/status', payload: 'online', options: { retain: true } }]);
+    assert.deepStrictEqual(client.subscribed, ['wandelbadge/+/walk/add']);
+  });
+});
+
+test('a new tracker gets retained discovery configs and its state', async () => {
+  await quietly(() => {
+    const { client, bridge } = createBridge();
+    client.published = [];
+    bridge.publishTracker('anna-b', 'Anna', { km: 12.5, target: 2026, percentage: 0.6 });
+
+    const discovery = client.published.filter(message => message.topic.startsWith('homeassistant/'));
+    assert.deepStrictEqual(discovery.map(message => message.topic), [
+      'km', 'target', 'percentage', 'steps', 'day', 'raised', 'donationGoal', 'donationPercentage'
+    ].map(key => `homeassistant/sensor/wandelbadge_anna_b/${key}/config`));
+    assert.ok(discovery.every(message => message.options.retain));
+
+    assert.deepStrictEqual(JSON.parse(discovery[0].payload), {
+      name: 'Kilometers',
+      unique_id: 'wandelbadge_anna-b_km',
+      state_topic: 'wandelbadge/anna-b/state',
+      value_template: '{{ value_json.km }}',
+      availability_topic: 'wandelbadge/status',
+      icon: 'mdi:walk',
+      device: { identifiers: ['wandelbadge_anna-b'], name: 'Wandelbadge Anna', manufacturer: 'Wandelbadge' },
+      unit_of_measurement: 'km',
+      device_class: 'distance',
+      state_class: 'measurement'
+    });
+    const steps = JSON.parse(discovery[3].payload);
+    assert.strictEqual(steps.unit_of_measurement, undefined);
+    assert.strictEqual(steps.device_class, undefined);
+
+    assert.deepStrictEqual(client.published.at(-1), {
+      topic: 'wandelbadge/anna-b/state',
+      payload: JSON.stringify({ km: 12.5, target: 2026, percentage: 0.6 }),
+      options: { retain: true }
+    });
+  });
+});
+
+test('unchanged state is not sent again and removed trackers are cleared', async () => {
+  await quietly(() => {
+    const { client, bridge } = createBridge();
+    bridge.publishTracker('anna', 'Anna', { km: 1 });
+    client.published = [];
+    bridge.publishTracker('anna', 'Anna', { km: 1 });
+    assert.deepStrictEqual(client.published, []);
+
+    bridge.removeTracker('anna');
+    assert.strictEqual(client.published.length, 9);
+    assert.ok(client.published.every(message => message.payload === '' && message.options.retain));
+  });
+});
+
+test('commands reach onAddWalk with the tracker slug', async () => {
+  const calls = [];
+  await quietly(async () => {
+    const { client } = createBridge((slug, walk) => calls.push([slug, walk]));
+    client.emit('message', 'wandelbadge/anna-b/walk/add', Buffer.from('3,5'));
+    client.emit('message', 'wandelbadge/anna-b/state', Buffer.from('3'));
+    await flush();
+  });
+  assert.deepStrictEqual(calls, [['anna-b', { distance: 3.5 }]]);
+});
+
+test('out-of-range and malformed commands are logged and never added', async () => {
+  const calls = [];
+  const errors = await quietly(async () => {
+    const { client } = createBridge((slug, walk) => calls.push([slug, walk]));
+    client.emit('message', 'wandelbadge/anna/walk/add', Buffer.from('5000'));
+    client.emit('message', 'wandelbadge/anna/walk/add', Buffer.from('{"distance":0}'));
+    client.emit('message', 'wandelbadge/anna/walk/add', Buffer.from('{kapot'));
+    await flush();
+  });
+  assert.deepStrictEqual(calls, []);
+  assert.strictEqual(errors.length, 3);
+  assert.ok(errors.every(line => line.startsWith('Ignoring MQTT command on wandelbadge/anna/walk/add')));
+});
+
+test('a command the tracker refuses is logged without crashing', async () => {
+  const errors = await quietly(async () => {
+    const { client } = createBridge(() => Promise.reject(new Error('Invalid value for km')));
+    client.emit('message', 'wandelbadge/anna/walk/add', Buffer.from('2'));
+    await flush();
+  });
+  assert.deepStrictEqual(errors, ['MQTT command on wandelbadge/anna/walk/add failed: Invalid value for km']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computePace, daysInYear } = require('../shared/pace');
+
+// Pace projection of a yearly challenge
+
+test('leap years have 366 days', () => {
+  assert.strictEqual(daysInYear(2026), 365);
+  assert.strictEqual(daysInYear(2028), 366);
+  assert.strictEqual(daysInYear(1900), 365);
+  assert.strictEqual(daysInYear(2000), 366);
+});
+
+test('walking ahead of the even pace projects an early finish', () => {
+  assert.deepStrictEqual(computePace({ km: 600, target: 2026, day: 100, year: 2026 }), {
+    day: 100,
+    daysInYear: 365,
+    expectedKm: 555.07,
+    difference: 44.93,
+    requiredDaily: 5.55,
+    currentDaily: 6,
+    remainingDaily: 5.38,
+    projectedFinish: '2026-12-04',
+    status: 'ahead'
+  });
+});
+
+test('walking behind projects a finish in the next year', () => {
+  const pace = computePace({ km: 400, target: 2026, day: 100, year: 2026 });
+  assert.strictEqual(pace.status, 'behind');
+  assert.strictEqual(pace.difference, -155.07);
+  assert.strictEqual(pace.projectedFinish, '2027-05-22');
+});
+
+test('a reached target is done without a projection', () => {
+  const pace = computePace({ km: 2030, target: 2026, day: 300, year: 2026 });
+  assert.strictEqual(pace.status, 'done');
+  assert.strictEqual(pace.projectedFinish, null);
+  assert.strictEqual(pace.remainingDaily, 0);
+});
+
+test('days outside the year are clamped and no kilometres means no projection', () => {
+  assert.strictEqual(computePace({ km: 0, target: 1000, day: 0, year: 2026 }).day, 1);
+  assert.strictEqual(computePace({ km: 0, target: 1000, day: 0, year: 2026 }).projectedFinish, null);
+  assert.strictEqual(computePace({ km: 900, target: 1000, day: 400, year: 2028 }).day, 366);
+  // On the last day the rest cannot be spread, it is all due today
+  assert.strictEqual(computePace({ km: 900, target: 1000, day: 365, year: 2026 }).remainingDaily, 100);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { scrapeFundraiser, validateOptions } = require('../lib/scrapers');
+
+// Fundraising adapters against saved pages in test/fixtures/scrapers
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'scrapers', `${name}.html`), 'utf8');
+}
+
+function scrape(name, url, options) {
+  const { adapter, raised, goal, confidence } = scrapeFundraiser(fixture(name), url, options);
+  return { adapter, raised, goal, confidence };
+}
+
+test('kentaa reads the stats of an action page on a known host', () => {
+  assert.deepStrictEqual(scrape('kentaa', 'https://www.fightcancer.nl/acties/wandelen-2026'), {
+    adapter: 'kentaa', raised: 1361, goal: 2026, confidence: 1
+  });
+});
+
+test('kentaa recognises its pages on other domains by their markup', () => {
+  assert.deepStrictEqual(scrape('kentaa', 'https://actie.voorbeeld-goeddoel.nl/wandelen-2026'), {
+    adapter: 'kentaa', raised: 1361, goal: 2026, confidence: 0.8
+  });
+});
+
+test('whydonate reads "opgehaald van" with decimals', () => {
+  assert.deepStrictEqual(scrape('whydonate', 'https://whydonate.com/fundraising/2026-km-longfonds'), {
+    adapter: 'whydonate', raised: 845.5, goal: 1500, confidence: 1
+  });
+});
+
+test('gofundme reads English amounts', () => {
+  assert.deepStrictEqual(scrape('gofundme', 'https://www.gofundme.com/f/walking-2026-km'), {
+    adapter: 'gofundme', raised: 3210, goal: 5000, confidence: 1
+  });
+});
+
+test('custom uses the configured selector and pattern', () => {
+  const options = { raisedSelector: '#teller', goalPattern: 'doel is (\\d+) euro' };
+  assert.deepStrictEqual(scrape('custom', 'https://sponsorloop.example.org/', options), {
+    adapter: 'custom', raised: 2480.75, goal: 4000, confidence: 1
+  });
+});
+
+test('unknown pages fall back to the generic guess', () => {
+  assert.deepStrictEqual(scrape('generic', 'https://buurthuis.example.org/actie'), {
+    adapter: 'generic', raised: 640, goal: 1500, confidence: 0.3
+  });
+});
+
+test('a forced adapter is used even when another would fit better', () => {
+  assert.deepStrictEqual(scrape('kentaa', 'https://www.fightcancer.nl/acties/wandelen-2026', { adapter: 'generic' }), {
+    adapter: 'generic', raised: null, goal: null, confidence: 0
+  });
+});
+
+test('custom patterns that backtrack exponentially finish quickly', () => {
+  const html = `<html><body><p>${'a'.repeat(30000)}!</p></body></html>`;
+  const started = Date.now();
+  const result = scrapeFundraiser(html, 'https://example.org/', { raisedPattern: '(a+)+$' });
+  assert.strictEqual(result.raised, null);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('custom patterns with backreferences or lookarounds are refused', () => {
+  assert.throws(() => validateOptions({ raisedPattern: '(\\d)\\1' }), /Invalid raised pattern/);
+  assert.throws(() => validateOptions({ goalPattern: '(?=€)(\\d+)' }), /Invalid goal pattern/);
+  assert.doesNotThrow(() => validateOptions({ raisedPattern: 'opgehaald[^€]*€\\s*([\\d.,]+)' }));
+});
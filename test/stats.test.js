@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordDay, computeStats, isoWeek } = require('../lib/stats');
+
+// Bucketing of the walk log into weeks, months and streaks, and the daily totals series
+
+const walk = (date, distance, steps = '') => ({ date, distance, steps });
+
+test('ISO weeks follow the Thursday rule around new year', () => {
+  assert.strictEqual(isoWeek('2026-01-01'), '2026-W01');
+  assert.strictEqual(isoWeek('2024-12-30'), '2025-W01');
+  assert.strictEqual(isoWeek('2027-01-01'), '2026-W53');
+  assert.strictEqual(isoWeek('2026-03-01'), '2026-W09');
+  assert.strictEqual(isoWeek('2026-03-02'), '2026-W10');
+});
+
+test('walks are summed per ISO week and per month', () => {
+  const stats = computeStats([
+    walk('2026-01-31', 5, 6000),
+    walk('2026-02-01', 3.3),
+    walk('2026-02-01', 1.2, 1500),
+    walk('2026-02-02', 4)
+  ], { target: 2026, today: '2026-02-02' });
+
+  assert.deepStrictEqual(stats.perWeek, [
+    { week: '2026-W05', km: 9.5, steps: 7500, walks: 3 },
+    { week: '2026-W06', km: 4, steps: 0, walks: 1 }
+  ]);
+  assert.deepStrictEqual(stats.perMonth, [
+    { month: '2026-01', km: 5, steps: 6000, walks: 1 },
+    { month: '2026-02', km: 8.5, steps: 1500, walks: 3 }
+  ]);
+  assert.deepStrictEqual(stats.cumulative, [
+    { date: '2026-01-31', km: 5 },
+    { date: '2026-02-01', km: 9.5 },
+    { date: '2026-02-02', km: 13.5 }
+  ]);
+  assert.deepStrictEqual(stats.totals, { km: 13.5, steps: 7500, walks: 4, activeDays: 3, target: 2026 });
+  assert.deepStrictEqual(stats.bestDay, { date: '2026-01-31', km: 5, steps: 6000, walks: 1 });
+});
+
+test('steps per km only count walks with steps', () => {
+  const { steps } = computeStats([walk('2026-04-01', 4, 5200), walk('2026-04-02', 6)], { target: 1000, today: '2026-04-02' });
+  assert.deepStrictEqual(steps, {
+    kmWithSteps: 4,
+    kmWithoutSteps: 6,
+    stepsPerKm: 1300,
+    perMonth: [{ month: '2026-04', km: 10, kmWithSteps: 4, steps: 5200, stepsPerKm: 1300 }]
+  });
+});
+
+test('streaks run over consecutive walk days', () => {
+  const walks = ['2026-02-26', '2026-02-27', '2026-02-28', '2026-03-01', '2026-03-05', '2026-03-06'].map(date => walk(date, 2));
+  const stats = computeStats(walks, { target: 1000, today: '2026-03-07' });
+  assert.deepStrictEqual(stats.longestStreak, { days: 4, start: '2026-02-26', end: '2026-03-01' });
+  // Not walked yet today, yesterday still counts
+  assert.strictEqual(stats.currentStreak, 2);
+  assert.strictEqual(computeStats(walks, { target: 1000, today: '2026-03-08' }).currentStreak, 0);
+});
+
+test('days without distance are no walk days', () => {
+  const stats = computeStats([walk('2026-05-01', 0, 300)], { target: 1000, today: '2026-05-01' });
+  assert.deepStrictEqual([stats.totals.activeDays, stats.perWeek, stats.bestDay], [0, [], null]);
+});
+
+test('the daily series keeps the last totals of each day', () => {
+  const series = [];
+  assert.strictEqual(recordDay(series, '2026-06-01', { km: 10, steps: '12000' }), true);
+  assert.strictEqual(recordDay(series, '2026-06-01', { km: 10, steps: 12000 }), false);
+  assert.strictEqual(recordDay(series, '2026-06-01', { km: 12.5, steps: '' }), true);
+  assert.strictEqual(recordDay(series, '2026-06-02', { km: 15, steps: 16000 }), true);
+  assert.deepStrictEqual(series, [
+    { date: '2026-06-01', km: 12.5, steps: 0 },
+    { date: '2026-06-02', km: 15, steps: 16000 }
+  ]);
+});
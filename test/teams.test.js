@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateTeam, computeTeam } = require('../lib/teams');
+
+// Combined progress and leaderboards of team challenges
+
+const TEAM = { id: 'noord', name: 'Team Noord', target: 1000, members: ['anna', 'bram', 'chris'], color: '#6366f1' };
+
+const MEMBERS = [
+  { slug: 'anna', name: 'Anna', walks: [{ date: '2025-12-30', distance: 100, steps: 120000 }, { date: '2026-03-02', distance: 10.25, steps: 13000 }] },
+  { slug: 'bram', name: 'Bram', walks: [{ date: '2026-03-03', distance: 20.5 }, { date: '2026-02-20', distance: 5 }] },
+  { slug: 'chris', name: 'Chris', walks: [{ date: '2026-03-04', distance: 10.25, steps: 12000 }] }
+];
+
+test('progress counts all walks of all members', () => {
+  const team = computeTeam(TEAM, MEMBERS, { today: '2026-03-05' });
+  assert.deepStrictEqual(
+    { km: team.km, steps: team.steps, percentage: team.percentage, period: team.period },
+    { km: 146, steps: 145000, percentage: 14.6, period: 'all' }
+  );
+  assert.deepStrictEqual(team.leaderboard.map(m => [m.rank, m.slug, m.km]), [[1, 'anna', 110.25], [2, 'bram', 25.5], [3, 'chris', 10.25]]);
+});
+
+test('the leaderboard of a period only counts its walks and shares equal ranks', () => {
+  const team = computeTeam(TEAM, MEMBERS, { period: 'week', today: '2026-03-05' });
+  assert.strictEqual(team.km, 146);
+  assert.deepStrictEqual(team.leaderboard, [
+    { rank: 1, slug: 'bram', name: 'Bram', km: 20.5, steps: 0, walks: 1, share: 50 },
+    { rank: 2, slug: 'anna', name: 'Anna', km: 10.25, steps: 13000, walks: 1, share: 25 },
+    { rank: 2, slug: 'chris', name: 'Chris', km: 10.25, steps: 12000, walks: 1, share: 25 }
+  ]);
+});
+
+test('year and month periods follow the calendar of today', () => {
+  const year = computeTeam(TEAM, MEMBERS, { period: 'year', today: '2026-03-05' });
+  assert.deepStrictEqual(year.leaderboard.map(m => [m.slug, m.km]), [['bram', 25.5], ['anna', 10.25], ['chris', 10.25]]);
+  const month = computeTeam(TEAM, MEMBERS, { period: 'month', today: '2026-02-10' });
+  assert.deepStrictEqual(month.leaderboard.map(m => [m.slug, m.km, m.share]), [['bram', 5, 100], ['anna', 0, 0], ['chris', 0, 0]]);
+});
+
+test('a team without walks has no shares', () => {
+  const team = computeTeam({ ...TEAM, members: [] }, [], { today: '2026-03-05' });
+  assert.deepStrictEqual([team.km, team.percentage, team.leaderboard], [0, 0, []]);
+});
+
+test('teams are validated and cleaned up', () => {
+  const exists = slug => ['anna', 'bram'].includes(slug);
+  assert.deepStrictEqual(validateTeam({ name: ' Noord ', target: '500', members: ['anna', 'bram', 'anna'], extra: 1 }, exists), {
+    name: 'Noord', target: 500, members: ['anna', 'bram'], color: null
+  });
+  assert.throws(() => validateTeam({ name: '', target: 500, members: [] }, exists), /Name must be/);
+  assert.throws(() => validateTeam({ name: 'Noord', target: 0, members: [] }, exists), /Target must be/);
+  assert.throws(() => validateTeam({ name: 'Noord', target: 500, members: ['dirk'] }, exists), /Unknown tracker: dirk/);
+  assert.throws(() => validateTeam({ name: 'Noord', target: 500, members: [], color: 'red' }, exists), /Color must be/);
+});
@@ -0,0 +1,16 @@
+// Embeddable progress bar of a tracker that follows it live:
+//   <script src="https://badge.example.com/widget.js" data-tracker="clau" async></script>
+// Inserts an <iframe> with /embed/<tracker> right after the script tag.
+(function () {
+  const script = document.currentScript;
+  if (!script) return;
+  const origin = new URL(script.src).origin;
+  const tracker = script.dataset.tracker || 'default';
+
+  const iframe = document.createElement('iframe');
+  iframe.src = `${origin}/embed/${encodeURIComponent(tracker)}`;
+  iframe.title = 'Wandelbadge';
+  iframe.loading = 'lazy';
+  iframe.style.cssText = `border: 0; width: 100%; max-width: ${script.dataset.width || '420px'}; height: 72px; border-radius: 12px;`;
+  script.parentNode.insertBefore(iframe, script.nextSibling);
+})();